@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+/**
+ * 以固定時間比較兩個字串，避免透過回應時間猜測 Token
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 從請求取出管理員 Token：Bearer、X-Admin-Token 或 Basic 驗證的密碼
+ */
+function extractAdminToken(req) {
+  const header = req.headers.authorization || '';
+
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1].trim();
+  }
+
+  // 瀏覽器開啟管理頁面時使用 Basic 驗證，帳號需符合 ADMIN_USERNAME
+  const basic = header.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const credentials = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    const username = credentials.slice(0, separator);
+    const adminUsername = process.env.ADMIN_USERNAME || 'admin';
+    return separator > 0 && safeEqual(username, adminUsername) ? credentials.slice(separator + 1) : null;
+  }
+
+  return req.headers['x-admin-token'];
+}
+
+/**
+ * Express 中介軟體：管理 API 與管理頁面需要 ADMIN_TOKEN
+ *
+ * 可使用 `Authorization: Bearer <token>`、`X-Admin-Token: <token>` 標頭，
+ * 或 Basic 驗證 (帳號 ADMIN_USERNAME，預設 admin；密碼為 ADMIN_TOKEN)；
+ * 未設定 ADMIN_TOKEN 時管理 API 一律停用
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: '管理 API 未啟用，請設定 ADMIN_TOKEN'
+    });
+  }
+
+  const token = extractAdminToken(req);
+
+  if (!token || !safeEqual(token, adminToken)) {
+    console.warn('🔒 管理 API 驗證失敗:', req.method, req.originalUrl);
+    // 讓瀏覽器跳出帳號密碼視窗
+    res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+    return res.status(401).json({
+      success: false,
+      error: '管理員驗證失敗'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  safeEqual
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 區塊校驗可用的演算法 (Upload-Checksum 標頭: "<演算法> <base64 摘要>")
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+const UPLOAD_ERROR_CODES = {
+  INVALID_UPLOAD: 'INVALID_UPLOAD',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  UPLOAD_NOT_FOUND: 'UPLOAD_NOT_FOUND',
+  UPLOAD_LOCKED: 'UPLOAD_LOCKED',
+  TOO_MANY_UPLOADS: 'TOO_MANY_UPLOADS',
+  UPLOAD_INCOMPLETE: 'UPLOAD_INCOMPLETE',
+  OFFSET_MISMATCH: 'OFFSET_MISMATCH',
+  CHUNK_TOO_LARGE: 'CHUNK_TOO_LARGE',
+  CHECKSUM_REQUIRED: 'CHECKSUM_REQUIRED',
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH'
+};
+
+function uploadError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * 驗證區塊內容的校驗值
+ */
+function verifyChecksum(header, data) {
+  if (!header) {
+    throw uploadError(400, UPLOAD_ERROR_CODES.CHECKSUM_REQUIRED, '每個區塊都需要附上 Upload-Checksum 標頭');
+  }
+
+  const [algorithm, expected] = header.trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes((algorithm || '').toLowerCase()) || !expected) {
+    throw uploadError(400, UPLOAD_ERROR_CODES.CHECKSUM_REQUIRED, `不支援的校驗演算法，可使用 ${CHECKSUM_ALGORITHMS.join('、')}`);
+  }
+
+  const actual = crypto.createHash(algorithm.toLowerCase()).update(data).digest('base64');
+  if (actual !== expected) {
+    // 與 tus 協定相同，以 460 表示區塊內容在傳輸中損毀
+    throw uploadError(460, UPLOAD_ERROR_CODES.CHECKSUM_MISMATCH, '區塊校驗失敗，請重新傳送此區塊');
+  }
+}
+
+/**
+ * 建立分段上傳管理 (tus 風格：建立上傳 → 依 offset 依序傳送區塊 → 完成)
+ *
+ * - 每個上傳工作是 dir 底下的一個資料夾，包含 session.json (進度) 與 data (已收到的內容)
+ * - 進度在每個區塊寫入後保存，伺服器重啟或用戶端斷線後都能從目前的 offset 繼續
+ * - owner 不為空時，只有同一位使用者可以繼續或完成上傳
+ * - 超過 ttlHours 沒有新區塊的上傳工作會被清除
+ * - 同一個 client (使用者或 IP) 最多同時保留 maxOpenSessions 個未完成的上傳工作，避免預佔大量磁碟空間
+ */
+function createChunkedUploads({ dir, maxFileSize, chunkSize, ttlHours = 24, maxOpenSessions = 10 }) {
+  const sessions = new Map();
+  // 正在寫入區塊的上傳工作，避免重送的請求同時寫入
+  const writing = new Set();
+  let timer = null;
+
+  const sessionDir = (id) => path.join(dir, id);
+  const dataPath = (id) => path.join(sessionDir(id), 'data');
+  const persist = (session) => writeJSON(path.join(sessionDir(session.id), 'session.json'), session);
+
+  const expiresAt = (session) => new Date(new Date(session.updatedAt).getTime() + ttlHours * HOUR_MS).toISOString();
+
+  const describe = (session) => ({
+    uploadId: session.id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    offset: session.offset,
+    complete: session.offset === session.fileSize,
+    chunkSize,
+    expiresAt: expiresAt(session)
+  });
+
+  /**
+   * 建立新的上傳工作
+   */
+  const create = ({ fileName, fileSize, mimeType, owner, client }) => {
+    const size = Number(fileSize);
+    if (!fileName || typeof fileName !== 'string' || /[\\/]/.test(fileName)) {
+      throw uploadError(400, UPLOAD_ERROR_CODES.INVALID_UPLOAD, '請提供有效的檔案名稱');
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError(400, UPLOAD_ERROR_CODES.INVALID_UPLOAD, '請提供有效的檔案大小');
+    }
+    if (size > maxFileSize) {
+      throw uploadError(413, UPLOAD_ERROR_CODES.FILE_TOO_LARGE, `檔案太大，上限為 ${Math.floor(maxFileSize / 1024 / 1024)}MB`);
+    }
+    const open = Array.from(sessions.values()).filter(session => session.client === (client || null)).length;
+    if (maxOpenSessions > 0 && open >= maxOpenSessions) {
+      throw uploadError(429, UPLOAD_ERROR_CODES.TOO_MANY_UPLOADS, `未完成的上傳最多 ${maxOpenSessions} 個，請先完成或取消其他上傳`);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      fileName,
+      fileSize: size,
+      mimeType: mimeType || 'application/octet-stream',
+      owner: owner || null,
+      client: client || null,
+      offset: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    fs.mkdirSync(sessionDir(session.id), { recursive: true });
+    fs.writeFileSync(dataPath(session.id), Buffer.alloc(0));
+    persist(session);
+    sessions.set(session.id, session);
+
+    console.log('📦 建立分段上傳:', session.id, fileName, `${(size / 1024 / 1024).toFixed(2)} MB`);
+    return session;
+  };
+
+  /**
+   * 取得上傳工作，不存在或不屬於此使用者時視為找不到
+   */
+  const get = (id, owner) => {
+    const session = sessions.get(id);
+    if (!session || (session.owner && session.owner !== owner)) {
+      throw uploadError(404, UPLOAD_ERROR_CODES.UPLOAD_NOT_FOUND, '找不到此上傳工作或已過期');
+    }
+    return session;
+  };
+
+  /**
+   * 寫入一個區塊，offset 必須等於目前已收到的長度
+   */
+  const appendChunk = async (id, owner, { offset, data, checksum }) => {
+    const session = get(id, owner);
+
+    if (writing.has(id)) {
+      throw uploadError(423, UPLOAD_ERROR_CODES.UPLOAD_LOCKED, '此上傳工作正在寫入其他區塊');
+    }
+    if (offset !== session.offset) {
+      throw uploadError(409, UPLOAD_ERROR_CODES.OFFSET_MISMATCH, '區塊位置與伺服器進度不符', { offset: session.offset });
+    }
+    if (!data || data.length === 0) {
+      throw uploadError(400, UPLOAD_ERROR_CODES.INVALID_UPLOAD, '區塊內容是空的');
+    }
+    if (data.length > chunkSize) {
+      throw uploadError(413, UPLOAD_ERROR_CODES.CHUNK_TOO_LARGE, `單一區塊不可超過 ${chunkSize} bytes`);
+    }
+    if (offset + data.length > session.fileSize) {
+      throw uploadError(400, UPLOAD_ERROR_CODES.INVALID_UPLOAD, '區塊超出檔案大小');
+    }
+    verifyChecksum(checksum, data);
+
+    writing.add(id);
+    try {
+      await fs.promises.appendFile(dataPath(id), data);
+      session.offset += data.length;
+      session.updatedAt = new Date().toISOString();
+      persist(session);
+    } finally {
+      writing.delete(id);
+    }
+
+    return session;
+  };
+
+  /**
+   * 確認上傳工作已收到完整內容
+   */
+  const assertComplete = (id, owner) => {
+    const session = get(id, owner);
+    if (session.offset !== session.fileSize || writing.has(id)) {
+      throw uploadError(409, UPLOAD_ERROR_CODES.UPLOAD_INCOMPLETE, `${session.fileName} 尚未上傳完成`, { offset: session.offset });
+    }
+    return session;
+  };
+
+  /**
+   * 將組合好的檔案移到 targetPath 並結束上傳工作
+   */
+  const finish = async (id, owner, targetPath) => {
+    const session = assertComplete(id, owner);
+    sessions.delete(id);
+
+    await fs.promises.rename(dataPath(id), targetPath);
+    await fs.promises.rm(sessionDir(id), { recursive: true, force: true });
+    return session;
+  };
+
+  const remove = async (id, owner) => {
+    get(id, owner);
+    sessions.delete(id);
+    await fs.promises.rm(sessionDir(id), { recursive: true, force: true });
+  };
+
+  /**
+   * 清除過期的上傳工作
+   */
+  const prune = () => {
+    const cutoff = Date.now() - ttlHours * HOUR_MS;
+    for (const session of sessions.values()) {
+      if (new Date(session.updatedAt).getTime() < cutoff && !writing.has(session.id)) {
+        sessions.delete(session.id);
+        fs.rmSync(sessionDir(session.id), { recursive: true, force: true });
+        console.log('🗑️ 清除過期的分段上傳:', session.id, session.fileName);
+      }
+    }
+  };
+
+  /**
+   * 載入重啟前未完成的上傳工作並定期清除過期的工作
+   */
+  const start = () => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const id of fs.readdirSync(dir)) {
+      const session = readJSON(path.join(sessionDir(id), 'session.json'), null);
+      if (!session || !fs.existsSync(dataPath(id))) {
+        fs.rmSync(sessionDir(id), { recursive: true, force: true });
+        continue;
+      }
+
+      // 寫入到一半就中斷的區塊沒有回報成功，捨棄後由用戶端重送
+      const size = fs.statSync(dataPath(id)).size;
+      if (size > session.offset) {
+        fs.truncateSync(dataPath(id), session.offset);
+      } else if (size < session.offset) {
+        session.offset = size;
+        persist(session);
+      }
+      sessions.set(id, session);
+    }
+
+    prune();
+    timer = setInterval(prune, HOUR_MS);
+    timer.unref();
+
+    if (sessions.size > 0) {
+      console.log(`📦 恢復 ${sessions.size} 個未完成的分段上傳`);
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const stats = () => ({
+    active: sessions.size,
+    maxFileSize,
+    chunkSize,
+    ttlHours,
+    maxOpenSessions
+  });
+
+  return {
+    create,
+    get,
+    describe,
+    appendChunk,
+    assertComplete,
+    finish,
+    remove,
+    start,
+    stop,
+    stats
+  };
+}
+
+module.exports = {
+  createChunkedUploads,
+  uploadError,
+  UPLOAD_ERROR_CODES,
+  CHECKSUM_ALGORITHMS
+};
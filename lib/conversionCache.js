@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 轉換流程的輸出有變動時調整，讓舊的快取自然失效
+const CACHE_VERSION = 1;
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * 計算快取鍵：依上傳順序的檔案內容 + 副檔名 (決定轉換方式) + 合併與輸出設定
+ */
+async function computeCacheKey(files, { merge, renderOptions }) {
+  const contents = [];
+  for (const file of files) {
+    contents.push({
+      sha256: await hashFile(file.path),
+      extension: path.extname(file.originalname || '').toLowerCase()
+    });
+  }
+
+  const { pages, format, dpi, maxWidth, quality } = renderOptions;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({
+      version: CACHE_VERSION,
+      files: contents,
+      merge: merge === true,
+      renderOptions: { pages, format, dpi, maxWidth, quality }
+    }))
+    .digest('hex');
+}
+
+/**
+ * 建立轉換結果快取
+ *
+ * - 每筆記錄保存輸出檔案在儲存後端的位置 (不含下載連結)，命中時由呼叫端重新產生連結
+ * - verify(entry) 確認輸出檔案仍存在 (可能已被清理程式刪除)，不存在時視為未命中並移除記錄
+ * - 超過 ttlHours 的記錄不再使用，確保重複使用的檔案不會在連結到期前被清除
+ * - 超過 maxEntries 筆時移除最久未使用的記錄
+ */
+function createConversionCache({ storePath, verify, maxEntries = 500, ttlHours = 24 }) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, stores: 0 };
+
+  const persist = () => {
+    try {
+      writeJSON(storePath, Array.from(entries.values()));
+    } catch (error) {
+      console.error('❌ 轉換快取寫入失敗:', error.message);
+    }
+  };
+
+  const isExpired = (entry) => new Date(entry.createdAt).getTime() < Date.now() - ttlHours * HOUR_MS;
+
+  const prune = () => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+
+    // 依最後使用時間移除超出上限的記錄
+    const overflow = entries.size - maxEntries;
+    if (overflow > 0) {
+      Array.from(entries.values())
+        .sort((a, b) => new Date(a.lastUsedAt) - new Date(b.lastUsedAt))
+        .slice(0, overflow)
+        .forEach(entry => entries.delete(entry.key));
+      removed += overflow;
+    }
+    return removed;
+  };
+
+  /**
+   * 查詢快取，命中時回傳記錄 (documents 為 store 時保存的內容)，否則回傳 null
+   */
+  const lookup = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) {
+      if (entry) {
+        entries.delete(key);
+        persist();
+      }
+      counters.misses++;
+      return null;
+    }
+
+    let valid = false;
+    try {
+      valid = await verify(entry);
+    } catch (error) {
+      console.warn('⚠️ 無法確認快取的輸出檔案:', error.message);
+    }
+    if (!valid) {
+      console.log('🗑️ 快取的輸出檔案已不存在，移除記錄:', key.slice(0, 12));
+      entries.delete(key);
+      persist();
+      counters.misses++;
+      return null;
+    }
+
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    persist();
+    counters.hits++;
+    return entry;
+  };
+
+  const store = (key, documents) => {
+    const now = new Date().toISOString();
+    entries.set(key, { key, documents, hits: 0, createdAt: now, lastUsedAt: now });
+    counters.stores++;
+    prune();
+    persist();
+  };
+
+  /**
+   * 移除指定的記錄，未指定 key 時清空快取；只移除記錄，輸出檔案交由清理程式處理
+   */
+  const purge = (key) => {
+    let removed;
+    if (key) {
+      removed = entries.delete(key) ? 1 : 0;
+    } else {
+      removed = entries.size;
+      entries.clear();
+    }
+    if (removed > 0) {
+      persist();
+      console.log(`🗑️ 已清除 ${removed} 筆轉換快取`);
+    }
+    return removed;
+  };
+
+  const list = () => Array.from(entries.values())
+    .map(({ key, documents, hits, createdAt, lastUsedAt }) => ({
+      key,
+      documents: documents.map(document => document.name),
+      hits,
+      createdAt,
+      lastUsedAt
+    }))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+
+  /**
+   * 載入保存的快取記錄
+   */
+  const start = () => {
+    for (const entry of readJSON(storePath, [])) {
+      entries.set(entry.key, entry);
+    }
+    if (prune() > 0) {
+      persist();
+    }
+    if (entries.size > 0) {
+      console.log(`🗃️ 載入 ${entries.size} 筆轉換快取`);
+    }
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: entries.size,
+      maxEntries,
+      ttlHours,
+      ...counters,
+      hitRate: lookups > 0 ? Math.round(counters.hits / lookups * 1000) / 1000 : 0
+    };
+  };
+
+  return {
+    lookup,
+    store,
+    purge,
+    list,
+    start,
+    stats
+  };
+}
+
+module.exports = {
+  createConversionCache,
+  computeCacheKey
+};
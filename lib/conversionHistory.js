@@ -0,0 +1,198 @@
+const { readJSON, writeJSON } = require('./jsonStore');
+const { JOB_STATUS } = require('./jobQueue');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 建立使用者的轉換紀錄 (「我的檔案」)
+ *
+ * - 每個轉換工作一筆紀錄，以工作 ID 為鍵，只記錄有 LINE 使用者 ID 的工作
+ * - 紀錄保存輸出檔案在儲存後端的位置 (不含下載連結)，由呼叫端讀取時重新產生連結
+ * - 超過 retentionDays 的紀錄會被移除；每位使用者最多保留 maxEntriesPerUser 筆，超過時移除最舊的紀錄
+ * - 使用者刪除的紀錄保留工作 ID (deleted)，之後同一個工作的狀態更新或重啟時不會再建立紀錄
+ * - 刪除紀錄時由呼叫端決定是否刪除輸出檔案 (可能被轉換快取共用，見 isReferenced)
+ */
+function createConversionHistory({ storePath, retentionDays = 30, maxEntriesPerUser = 200 }) {
+  const records = new Map();
+  // 已刪除的工作 ID → 刪除時間
+  const deleted = new Map();
+
+  const persist = () => {
+    try {
+      writeJSON(storePath, {
+        records: Array.from(records.values()),
+        deleted: Object.fromEntries(deleted)
+      });
+    } catch (error) {
+      console.error('❌ 轉換紀錄寫入失敗:', error.message);
+    }
+  };
+
+  const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+  const prune = () => {
+    let removed = 0;
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const byUser = new Map();
+
+    for (const [id, record] of records) {
+      if (new Date(record.createdAt).getTime() < cutoff) {
+        records.delete(id);
+        removed++;
+        continue;
+      }
+      const owned = byUser.get(record.userId) || [];
+      owned.push(record);
+      byUser.set(record.userId, owned);
+    }
+
+    for (const owned of byUser.values()) {
+      owned.sort(newestFirst).slice(maxEntriesPerUser).forEach(record => {
+        records.delete(record.id);
+        removed++;
+      });
+    }
+
+    // 超過保存期限的工作不會再出現，不需要保留刪除記錄
+    for (const [id, deletedAt] of deleted) {
+      if (new Date(deletedAt).getTime() < cutoff) {
+        deleted.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  /**
+   * 依轉換工作的狀態新增或更新紀錄 (工作佇列的 'update' 事件)
+   *
+   * artifacts 為工作完成時每份輸出文件的檔案資訊，只在狀態改變時寫入磁碟
+   */
+  const record = (job) => {
+    const userId = job.userInfo && job.userInfo.liffUserId;
+    if (!userId || deleted.has(job.id)) {
+      return null;
+    }
+
+    const existing = records.get(job.id);
+    if (existing && existing.status === job.status) {
+      return existing;
+    }
+
+    const { fileInfo } = job;
+    const documents = job.status === JOB_STATUS.DONE ? (job.artifacts || []) : [];
+    const entry = {
+      id: job.id,
+      userId,
+      fileName: fileInfo.fileName,
+      files: fileInfo.files || [{ fileName: fileInfo.fileName, fileSize: fileInfo.fileSize }],
+      fileSize: fileInfo.fileSize,
+      merged: fileInfo.merged === true,
+      status: job.status,
+      error: job.error || null,
+      pageCount: documents.reduce((sum, document) => sum + document.images.length, 0),
+      outputSize: documents.reduce((sum, document) => sum + document.pdfSize, 0),
+      cached: job.conversionResult ? job.conversionResult.cached === true : false,
+      documents,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt || null
+    };
+
+    records.set(job.id, entry);
+    if (!existing) {
+      prune();
+    }
+    persist();
+    return entry;
+  };
+
+  /**
+   * 取得使用者的單筆紀錄，不屬於該使用者時回傳 null
+   */
+  const get = (userId, id) => {
+    const entry = records.get(id);
+    return entry && entry.userId === userId ? entry : null;
+  };
+
+  /**
+   * 依時間由新到舊分頁列出使用者的紀錄
+   */
+  const list = (userId, { page = 1, limit = 20 } = {}) => {
+    const owned = Array.from(records.values())
+      .filter(entry => entry.userId === userId)
+      .sort(newestFirst);
+
+    return {
+      items: owned.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: owned.length,
+        totalPages: Math.ceil(owned.length / limit)
+      }
+    };
+  };
+
+  /**
+   * 刪除使用者的紀錄並記下工作 ID，回傳被刪除的紀錄 (不存在時回傳 null)
+   */
+  const remove = (userId, id) => {
+    const entry = get(userId, id);
+    if (!entry) {
+      return null;
+    }
+    records.delete(id);
+    deleted.set(id, new Date().toISOString());
+    persist();
+    return entry;
+  };
+
+  /**
+   * 是否有其他紀錄使用同一份輸出 PDF (轉換快取命中時會共用輸出檔案)
+   */
+  const isReferenced = (pdfFileName) => Array.from(records.values())
+    .some(entry => entry.documents.some(document => document.pdfFileName === pdfFileName));
+
+  /**
+   * 載入保存的紀錄 (舊版格式為紀錄陣列)
+   */
+  const start = () => {
+    const saved = readJSON(storePath, {});
+    const savedRecords = Array.isArray(saved) ? saved : (saved.records || []);
+    for (const entry of savedRecords) {
+      records.set(entry.id, entry);
+    }
+    for (const [id, deletedAt] of Object.entries(saved.deleted || {})) {
+      deleted.set(id, deletedAt);
+    }
+    if (prune() > 0) {
+      persist();
+    }
+    if (records.size > 0) {
+      console.log(`🗂️ 載入 ${records.size} 筆轉換紀錄`);
+    }
+  };
+
+  const stats = () => ({
+    records: records.size,
+    deleted: deleted.size,
+    users: new Set(Array.from(records.values()).map(entry => entry.userId)).size,
+    retentionDays,
+    maxEntriesPerUser
+  });
+
+  return {
+    record,
+    get,
+    list,
+    remove,
+    isReferenced,
+    start,
+    stats
+  };
+}
+
+module.exports = {
+  createConversionHistory
+};
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const util = require('util');
+const zlib = require('zlib');
+
+/**
+ * 上傳檔案內容檢查
+ *
+ * 副檔名與瀏覽器提供的 MIME 類型都可以偽造，轉換前以檔案實際內容確認格式，
+ * 並拒絕壓縮炸彈、含巨集或加密的 Office 文件、含 JavaScript / Launch 動作的 PDF。
+ * 檢查失敗時拋出帶有 code 與 status 的錯誤 (見 REJECTION_CODES)
+ */
+
+const REJECTION_CODES = {
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  SIGNATURE_MISMATCH: 'SIGNATURE_MISMATCH',
+  ARCHIVE_INVALID: 'ARCHIVE_INVALID',
+  ARCHIVE_TOO_MANY_ENTRIES: 'ARCHIVE_TOO_MANY_ENTRIES',
+  ARCHIVE_TOO_LARGE: 'ARCHIVE_TOO_LARGE',
+  ARCHIVE_RATIO_EXCEEDED: 'ARCHIVE_RATIO_EXCEEDED',
+  MACRO_ENABLED: 'MACRO_ENABLED',
+  ENCRYPTED_DOCUMENT: 'ENCRYPTED_DOCUMENT',
+  PDF_ACTIVE_CONTENT: 'PDF_ACTIVE_CONTENT',
+  RTF_EMBEDDED_OBJECT: 'RTF_EMBEDDED_OBJECT',
+  HTML_ACTIVE_CONTENT: 'HTML_ACTIVE_CONTENT',
+  BINARY_TEXT: 'BINARY_TEXT',
+  IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE'
+};
+
+const SIGNATURES = {
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  cfb: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff]),
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+};
+
+// OOXML 各副檔名必須存在的主要內容
+const OOXML_MAIN_PARTS = {
+  '.docx': 'word/document.xml',
+  '.xlsx': 'xl/workbook.xml',
+  '.pptx': 'ppt/presentation.xml'
+};
+
+// 判斷 OOXML / OpenDocument 格式時需要讀取內容的項目
+const ZIP_INSPECTED_ENTRIES = ['[Content_Types].xml', 'mimetype', 'META-INF/manifest.xml'];
+
+// 會觸發動作的 PDF 名稱
+const PDF_ACTIVE_KEYS = ['JS', 'JavaScript', 'Launch'];
+
+// HTML 中會執行程式或讓 LibreOffice 讀取本機檔案、對外發送請求的內容
+const HTML_ACTIVE_PATTERNS = [
+  /<(script|iframe|frame|frameset|object|embed|applet)\b/i,
+  /\bfile:\/\//i,
+  /\b(src|data|background|poster|srcset)\s*=\s*["']?\s*(https?:|\/\/)/i,
+  /<link\b[^>]*\bhref\s*=\s*["']?\s*(https?:|\/\/)/i,
+  /url\(\s*["']?\s*(https?:|\/\/)/i,
+  /@import\b/i
+];
+
+function rejection(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function getLimits() {
+  return {
+    maxEntries: parseInt(process.env.UPLOAD_ZIP_MAX_ENTRIES) || 1000,
+    maxUncompressedBytes: (parseInt(process.env.UPLOAD_ZIP_MAX_UNCOMPRESSED_MB) || 100) * 1024 * 1024,
+    maxRatio: parseInt(process.env.UPLOAD_ZIP_MAX_RATIO) || 100,
+    maxImagePixels: parseInt(process.env.UPLOAD_MAX_IMAGE_PIXELS) || 40 * 1000 * 1000
+  };
+}
+
+/**
+ * 讀取 ZIP 中央目錄，回傳各項目的名稱、大小與位置
+ */
+function readZipEntries(buffer, maxEntries) {
+  // End of central directory 在檔案最後 (最多帶 64KB 註解)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, '文件結構損毀 (找不到 ZIP 目錄)');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  // Office 文件不會用到 ZIP64，出現時視為可疑
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, '不支援 ZIP64 格式的文件');
+  }
+  if (entryCount > maxEntries) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_TOO_MANY_ENTRIES, `文件內含項目過多 (${entryCount} 個)`);
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, '文件結構損毀 (ZIP 目錄錯誤)');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      encrypted: (buffer.readUInt16LE(offset + 8) & 0x1) === 1,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+/**
+ * 解壓縮單一項目 (非同步，不佔用請求的執行緒)，實際大小超過宣告大小時視為偽造的壓縮檔
+ */
+async function inflateZipEntry(buffer, entry) {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, '文件結構損毀 (ZIP 項目錯誤)');
+  }
+
+  const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method !== 8) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, `不支援的壓縮方式 (${entry.method})`);
+  }
+
+  try {
+    return await inflateRaw(data, { maxOutputLength: Math.max(1, entry.uncompressedSize) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw rejection(422, REJECTION_CODES.ARCHIVE_RATIO_EXCEEDED, '文件解壓縮後的大小與宣告不符');
+    }
+    throw rejection(422, REJECTION_CODES.ARCHIVE_INVALID, '文件結構損毀 (無法解壓縮)');
+  }
+}
+
+/**
+ * OOXML (docx/xlsx/pptx) 與 OpenDocument 的 ZIP 容器檢查
+ */
+async function inspectZipContainer(buffer, ext, limits) {
+  const entries = readZipEntries(buffer, limits.maxEntries);
+
+  if (entries.some(entry => entry.encrypted)) {
+    throw rejection(422, REJECTION_CODES.ENCRYPTED_DOCUMENT, '不支援加密的文件，請移除密碼後再上傳');
+  }
+
+  const totalUncompressed = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  if (totalUncompressed > limits.maxUncompressedBytes) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_TOO_LARGE, '文件解壓縮後的內容過大');
+  }
+  if (totalUncompressed / buffer.length > limits.maxRatio) {
+    throw rejection(422, REJECTION_CODES.ARCHIVE_RATIO_EXCEEDED, '文件壓縮比例異常');
+  }
+
+  // 中央目錄的大小可以偽造：逐一解壓縮所有項目，每個項目不得超過宣告的大小，並以實際大小累計總量
+  const names = entries.map(entry => entry.name);
+  const contents = new Map();
+  let actualUncompressed = 0;
+  for (const entry of entries) {
+    const data = await inflateZipEntry(buffer, entry);
+    actualUncompressed += data.length;
+    if (actualUncompressed > limits.maxUncompressedBytes) {
+      throw rejection(422, REJECTION_CODES.ARCHIVE_TOO_LARGE, '文件解壓縮後的內容過大');
+    }
+    // 只保留判斷格式所需的項目內容
+    if (ZIP_INSPECTED_ENTRIES.includes(entry.name)) {
+      contents.set(entry.name, data.toString('utf8'));
+    }
+  }
+  const readEntry = (name) => (contents.has(name) ? contents.get(name) : null);
+
+  if (OOXML_MAIN_PARTS[ext]) {
+    const contentTypes = readEntry('[Content_Types].xml');
+    if (!contentTypes || !names.includes(OOXML_MAIN_PARTS[ext])) {
+      throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, `檔案內容不是有效的 ${ext} 文件`);
+    }
+    if (names.some(name => /vbaProject\.bin$/i.test(name)) || /macroEnabled/i.test(contentTypes)) {
+      throw rejection(422, REJECTION_CODES.MACRO_ENABLED, '不支援含巨集的 Office 文件');
+    }
+    return;
+  }
+
+  // OpenDocument：第一個項目是 mimetype
+  const mimetype = readEntry('mimetype') || '';
+  if (!mimetype.startsWith('application/vnd.oasis.opendocument.')) {
+    throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, `檔案內容不是有效的 ${ext} 文件`);
+  }
+  if (names.some(name => /^(Basic|Scripts)\//.test(name))) {
+    throw rejection(422, REJECTION_CODES.MACRO_ENABLED, '不支援含巨集的 OpenDocument 文件');
+  }
+  if (/encryption-data/.test(readEntry('META-INF/manifest.xml') || '')) {
+    throw rejection(422, REJECTION_CODES.ENCRYPTED_DOCUMENT, '不支援加密的文件，請移除密碼後再上傳');
+  }
+}
+
+/**
+ * 舊版 Office (doc/xls/ppt) 的 OLE 複合文件檢查
+ *
+ * 以目錄中的 UTF-16 串流名稱判斷是否含巨集或加密 (Word 與 Excel 的巨集都存放在 _VBA_PROJECT 底下)
+ */
+function inspectCompoundFile(buffer) {
+  const hasStream = (name) => buffer.includes(Buffer.from(name, 'utf16le'));
+
+  if (hasStream('EncryptedPackage') || hasStream('EncryptionInfo')) {
+    throw rejection(422, REJECTION_CODES.ENCRYPTED_DOCUMENT, '不支援加密的文件，請移除密碼後再上傳');
+  }
+  if (hasStream('_VBA_PROJECT')) {
+    throw rejection(422, REJECTION_CODES.MACRO_ENABLED, '不支援含巨集的 Office 文件');
+  }
+}
+
+/**
+ * PDF 檢查：拒絕含 JavaScript 或 Launch 動作的檔案
+ */
+async function inspectPDF(buffer) {
+  // 規範允許 %PDF- 出現在檔案開頭 1024 bytes 內
+  if (!buffer.subarray(0, 1024).includes('%PDF-')) {
+    throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, '檔案內容不是有效的 PDF');
+  }
+
+  const { PDFDocument, PDFDict, PDFName, PDFRawStream } = require('pdf-lib');
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+  } catch (error) {
+    // 無法解析時退回原始內容比對 (壓縮的 object stream 中的內容會看不到)
+    const raw = buffer.toString('latin1').replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    if (/\/(JavaScript|JS|Launch)\b/.test(raw)) {
+      throw rejection(422, REJECTION_CODES.PDF_ACTIVE_CONTENT, 'PDF 含有 JavaScript 或啟動外部程式的動作');
+    }
+    return;
+  }
+
+  // 逐一檢查所有物件 (包含壓縮在 object stream 中的物件)
+  for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFDict ? object : (object instanceof PDFRawStream ? object.dict : null);
+    if (!dict) {
+      continue;
+    }
+
+    const keys = dict.keys().map(key => key.decodeText());
+    const action = dict.get(PDFName.of('S'));
+    const actionType = action instanceof PDFName ? action.decodeText() : null;
+
+    if (keys.some(key => PDF_ACTIVE_KEYS.includes(key)) || PDF_ACTIVE_KEYS.includes(actionType)) {
+      throw rejection(422, REJECTION_CODES.PDF_ACTIVE_CONTENT, 'PDF 含有 JavaScript 或啟動外部程式的動作');
+    }
+  }
+}
+
+/**
+ * 純文字類檔案 (txt/md/html) 不應含有二進位內容
+ */
+function inspectText(buffer) {
+  if (buffer.includes(0)) {
+    throw rejection(415, REJECTION_CODES.BINARY_TEXT, '文字檔含有二進位內容');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    throw rejection(415, REJECTION_CODES.BINARY_TEXT, '文字檔必須使用 UTF-8 編碼');
+  }
+}
+
+/**
+ * HTML 檢查：拒絕含 script、iframe 等主動內容，或引用本機檔案、外部資源的文件
+ * (轉換時仍會再清理一次，見 formats.js 的 sanitize-html)
+ */
+function inspectHtml(buffer) {
+  const html = inspectText(buffer);
+  if (HTML_ACTIVE_PATTERNS.some(pattern => pattern.test(html))) {
+    throw rejection(422, REJECTION_CODES.HTML_ACTIVE_CONTENT, '不支援含指令碼、內嵌框架或引用外部資源的 HTML 文件');
+  }
+}
+
+/**
+ * 圖片檢查：確認實際格式並限制像素數量 (避免解壓縮後佔用過多記憶體)
+ */
+async function inspectImage(buffer, ext, limits) {
+  const isJpeg = buffer.subarray(0, 3).equals(SIGNATURES.jpeg);
+  const isPng = buffer.subarray(0, 8).equals(SIGNATURES.png);
+  const isGif = buffer.toString('latin1', 0, 4) === 'GIF8';
+  const isWebp = buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP';
+  const isTiff = ['II*\0', 'MM\0*'].includes(buffer.toString('latin1', 0, 4));
+
+  const matches = {
+    '.jpg': isJpeg,
+    '.jpeg': isJpeg,
+    '.png': isPng,
+    '.gif': isGif,
+    '.webp': isWebp,
+    '.tif': isTiff,
+    '.tiff': isTiff
+  };
+  if (!matches[ext]) {
+    throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, `檔案內容不是有效的 ${ext} 圖片`);
+  }
+
+  const sharp = require('sharp');
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, '無法讀取圖片內容');
+  }
+
+  if (metadata.width * metadata.height > limits.maxImagePixels) {
+    throw rejection(422, REJECTION_CODES.IMAGE_TOO_LARGE, `圖片尺寸過大 (${metadata.width}x${metadata.height})`);
+  }
+}
+
+/**
+ * 依格式檢查上傳檔案的實際內容，不通過時拋出錯誤
+ *
+ * format 為 formats.js 中的格式定義
+ */
+async function inspectUpload(filePath, format, originalName) {
+  const buffer = await fs.promises.readFile(filePath);
+  const ext = (originalName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const limits = getLimits();
+
+  const startsWith = (signature) => buffer.subarray(0, signature.length).equals(signature);
+
+  switch (format.id) {
+    case 'pdf':
+      return inspectPDF(buffer);
+
+    case 'word':
+    case 'excel':
+    case 'powerpoint':
+      if (OOXML_MAIN_PARTS[ext] && startsWith(SIGNATURES.zip)) {
+        return inspectZipContainer(buffer, ext, limits);
+      }
+      // 加密的 docx/xlsx/pptx 與舊版 doc/xls/ppt 都是 OLE 複合文件
+      if (startsWith(SIGNATURES.cfb)) {
+        return inspectCompoundFile(buffer);
+      }
+      throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, `檔案內容不是有效的 ${format.label} 文件`);
+
+    case 'opendocument':
+      if (!startsWith(SIGNATURES.zip)) {
+        throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, '檔案內容不是有效的 OpenDocument 文件');
+      }
+      return inspectZipContainer(buffer, ext, limits);
+
+    case 'rtf':
+      if (!buffer.toString('latin1', 0, 5).startsWith('{\\rtf')) {
+        throw rejection(415, REJECTION_CODES.SIGNATURE_MISMATCH, '檔案內容不是有效的 RTF 文件');
+      }
+      // 內嵌 OLE 物件是常見的 RTF 攻擊手法
+      if (/\\object\b|\\objdata\b/.test(buffer.toString('latin1'))) {
+        throw rejection(422, REJECTION_CODES.RTF_EMBEDDED_OBJECT, '不支援含內嵌物件的 RTF 文件');
+      }
+      return;
+
+    case 'text':
+    case 'markdown':
+      inspectText(buffer);
+      return;
+
+    case 'html':
+      return inspectHtml(buffer);
+
+    case 'image':
+      return inspectImage(buffer, ext, limits);
+
+    default:
+      throw rejection(415, REJECTION_CODES.UNSUPPORTED_FORMAT, '不支援的檔案格式');
+  }
+}
+
+module.exports = {
+  inspectUpload,
+  rejection,
+  REJECTION_CODES
+};
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 支援的上傳格式
+ *
+ * chain 是轉換成 PDF 要依序經過的步驟 (見 BUILTIN_STEPS 與 createFormatRegistry 的 steps)，
+ * 空陣列表示檔案本身就是 PDF
+ */
+const FORMATS = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    chain: []
+  },
+  {
+    id: 'word',
+    label: 'Word',
+    extensions: ['.doc', '.docx'],
+    mimeTypes: [
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ],
+    chain: ['libreoffice']
+  },
+  {
+    id: 'excel',
+    label: 'Excel',
+    extensions: ['.xls', '.xlsx'],
+    mimeTypes: [
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    chain: ['libreoffice']
+  },
+  {
+    id: 'powerpoint',
+    label: 'PowerPoint',
+    extensions: ['.ppt', '.pptx'],
+    mimeTypes: [
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ],
+    chain: ['libreoffice']
+  },
+  {
+    id: 'opendocument',
+    label: 'OpenDocument',
+    extensions: ['.odt', '.ods', '.odp'],
+    mimeTypes: [
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.presentation'
+    ],
+    chain: ['libreoffice']
+  },
+  {
+    id: 'rtf',
+    label: 'RTF',
+    extensions: ['.rtf'],
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    chain: ['libreoffice']
+  },
+  {
+    id: 'text',
+    label: 'TXT',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    // 先轉成 UTF-8 HTML，避免 LibreOffice 以系統編碼讀取中文
+    chain: ['text-to-html', 'libreoffice']
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    chain: ['markdown-to-html', 'libreoffice']
+  },
+  {
+    id: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html'],
+    chain: ['sanitize-html', 'libreoffice']
+  },
+  {
+    id: 'image',
+    label: '圖片',
+    extensions: ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff'],
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff'],
+    chain: ['image-to-pdf']
+  }
+];
+
+// A4 尺寸 (pt)
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 移除 HTML 中的 script、iframe、object 等主動內容與外部參照，只保留排版用的標籤；
+ * 圖片只接受內嵌的 data: 網址，避免 LibreOffice 轉換時讀取本機檔案 (file:) 或對外發送請求
+ */
+function sanitizeHtml(html) {
+  const sanitize = require('sanitize-html');
+  return sanitize(html, {
+    allowedTags: sanitize.defaults.allowedTags.concat(['img', 'del', 'ins', 'sub', 'sup']),
+    allowedAttributes: {
+      a: ['href', 'name'],
+      img: ['src', 'alt', 'width', 'height'],
+      td: ['colspan', 'rowspan', 'align'],
+      th: ['colspan', 'rowspan', 'align'],
+      ol: ['start']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['data'] },
+    allowProtocolRelative: false
+  });
+}
+
+/**
+ * 包成完整的 UTF-8 HTML 文件，讓 LibreOffice 正確辨識編碼
+ */
+function wrapHtml(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: "Noto Sans CJK TC", "Microsoft JhengHei", "PingFang TC", sans-serif; line-height: 1.6; }
+pre { white-space: pre-wrap; word-wrap: break-word; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * 內建的轉換步驟：run(inputPath, outputPath)，outputExt 為產出檔案的副檔名
+ */
+const BUILTIN_STEPS = {
+  'text-to-html': {
+    outputExt: '.html',
+    isAvailable: () => true,
+    run: async (inputPath, outputPath) => {
+      const text = await fs.promises.readFile(inputPath, 'utf8');
+      const title = path.parse(inputPath).name;
+      await fs.promises.writeFile(outputPath, wrapHtml(title, `<pre>${escapeHtml(text)}</pre>`), 'utf8');
+    }
+  },
+
+  'markdown-to-html': {
+    outputExt: '.html',
+    isAvailable: () => true,
+    run: async (inputPath, outputPath) => {
+      const { marked } = require('marked');
+      const markdown = await fs.promises.readFile(inputPath, 'utf8');
+      const title = path.parse(inputPath).name;
+      await fs.promises.writeFile(outputPath, wrapHtml(title, sanitizeHtml(marked.parse(markdown))), 'utf8');
+    }
+  },
+
+  // 上傳的 HTML 清理後再交給 LibreOffice
+  'sanitize-html': {
+    outputExt: '.html',
+    isAvailable: () => true,
+    run: async (inputPath, outputPath) => {
+      const html = await fs.promises.readFile(inputPath, 'utf8');
+      const title = path.parse(inputPath).name;
+      await fs.promises.writeFile(outputPath, wrapHtml(title, sanitizeHtml(html)), 'utf8');
+    }
+  },
+
+  'image-to-pdf': {
+    outputExt: '.pdf',
+    isAvailable: () => true,
+    run: async (inputPath, outputPath) => {
+      const sharp = require('sharp');
+      const { PDFDocument } = require('pdf-lib');
+
+      // 多頁 TIFF 與動畫 GIF 的每一頁 (影格) 各轉成一頁
+      const { pages = 1 } = await sharp(inputPath).metadata();
+      const pdfDoc = await PDFDocument.create();
+
+      for (let index = 0; index < pages; index++) {
+        // 依 EXIF 轉正；JPEG 直接嵌入，其他格式統一轉成 PNG
+        const image = sharp(inputPath, { page: index }).rotate();
+        const { format } = await image.metadata();
+        const { data, info } = format === 'jpeg'
+          ? await image.jpeg({ quality: 92 }).toBuffer({ resolveWithObject: true })
+          : await image.png().toBuffer({ resolveWithObject: true });
+
+        const embedded = format === 'jpeg' ? await pdfDoc.embedJpg(data) : await pdfDoc.embedPng(data);
+
+        // 頁面維持圖片比例，並縮放到 A4 (依圖片方向) 以內
+        const landscape = info.width > info.height;
+        const maxWidth = landscape ? A4_HEIGHT : A4_WIDTH;
+        const maxHeight = landscape ? A4_WIDTH : A4_HEIGHT;
+        const scale = Math.min(maxWidth / info.width, maxHeight / info.height);
+        const width = info.width * scale;
+        const height = info.height * scale;
+
+        const page = pdfDoc.addPage([width, height]);
+        page.drawImage(embedded, { x: 0, y: 0, width, height });
+      }
+
+      await fs.promises.writeFile(outputPath, await pdfDoc.save());
+    }
+  }
+};
+
+/**
+ * 建立格式表
+ *
+ * steps 可加入或覆寫轉換步驟，例如依執行環境載入的 LibreOffice 轉換
+ */
+function createFormatRegistry({ steps = {} } = {}) {
+  const allSteps = { ...BUILTIN_STEPS, ...steps };
+
+  /**
+   * 依副檔名 (優先) 或 MIME 類型找出格式，找不到時回傳 null
+   */
+  const resolve = (fileName, mimeType) => {
+    const ext = path.extname(fileName || '').toLowerCase();
+    return FORMATS.find(format => format.extensions.includes(ext)) ||
+      FORMATS.find(format => format.mimeTypes.includes(mimeType)) ||
+      null;
+  };
+
+  /**
+   * 格式所需的轉換步驟是否都可用
+   */
+  const isAvailable = (format) => format.chain.every(name => allSteps[name] && allSteps[name].isAvailable());
+
+  const listFormats = () => FORMATS.map(format => ({
+    id: format.id,
+    label: format.label,
+    extensions: format.extensions,
+    mimeTypes: format.mimeTypes,
+    available: isAvailable(format)
+  }));
+
+  /**
+   * 目前可上傳的副檔名
+   */
+  const getAcceptedExtensions = () => FORMATS
+    .filter(isAvailable)
+    .flatMap(format => format.extensions);
+
+  /**
+   * 依格式的轉換步驟產生 PDF，中間檔案會在結束後刪除
+   */
+  const convertToPDF = async (format, inputPath, outputPath) => {
+    if (format.chain.length === 0) {
+      await fs.promises.copyFile(inputPath, outputPath);
+      return outputPath;
+    }
+
+    const intermediates = [];
+    let currentPath = inputPath;
+
+    try {
+      for (const [index, name] of format.chain.entries()) {
+        const step = allSteps[name];
+        if (!step || !step.isAvailable()) {
+          throw new Error(`系統目前不支援 ${format.label} 轉換 (缺少 ${name})`);
+        }
+
+        const isLast = index === format.chain.length - 1;
+        const targetPath = isLast ? outputPath : `${outputPath}.step${index}${step.outputExt}`;
+        if (!isLast) {
+          intermediates.push(targetPath);
+        }
+
+        console.log(`🔧 轉換步驟 ${index + 1}/${format.chain.length}: ${name}`);
+        await step.run(currentPath, targetPath);
+        currentPath = targetPath;
+      }
+    } finally {
+      for (const intermediate of intermediates) {
+        fs.rmSync(intermediate, { force: true });
+      }
+    }
+
+    return outputPath;
+  };
+
+  return {
+    resolve,
+    isAvailable,
+    listFormats,
+    getAcceptedExtensions,
+    convertToPDF
+  };
+}
+
+module.exports = {
+  createFormatRegistry,
+  FORMATS
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+// 工作狀態
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  CONVERTING_PDF: 'converting-pdf',
+  RENDERING_PAGES: 'rendering-pages',
+  NOTIFYING: 'notifying',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 建立轉換工作佇列
+ *
+ * - 同時執行的工作數量受 concurrency 限制
+ * - 每次狀態變更都會寫入 storePath，伺服器重啟後未完成的工作會重新排入佇列；
+ *   狀態不變的更新 (例如逐頁渲染的進度) 只保留在記憶體，最多每 persistDelayMs 毫秒寫入一次
+ * - 狀態變更會透過 events 發出 'update' 事件，處理進度 (例如逐頁渲染) 則發出 'progress' 事件
+ * - 結束超過 retentionHours 的工作每小時清除一次
+ */
+function createJobQueue({ storePath, concurrency = 2, retentionHours = 24, persistDelayMs = 2000, handler }) {
+  const events = new EventEmitter();
+  const jobs = new Map();
+  const pending = [];
+  let active = 0;
+  let started = false;
+  let persistTimer = null;
+  let pruneTimer = null;
+
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    try {
+      writeJSON(storePath, Array.from(jobs.values()));
+    } catch (error) {
+      console.error('❌ 工作佇列寫入失敗:', error.message);
+    }
+  };
+
+  const schedulePersist = () => {
+    if (!persistTimer) {
+      persistTimer = setTimeout(persist, persistDelayMs);
+      persistTimer.unref();
+    }
+  };
+
+  const prune = () => {
+    let removed = 0;
+    const cutoff = Date.now() - retentionHours * HOUR_MS;
+    for (const [id, job] of jobs) {
+      if (TERMINAL_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+        jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  const update = (id, patch) => {
+    const job = jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const progressOnly = patch.status !== undefined && patch.status === job.status;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    if (progressOnly) {
+      schedulePersist();
+    } else {
+      persist();
+    }
+    events.emit('update', job);
+    return job;
+  };
+
+  const runNext = () => {
+    if (!started) {
+      return;
+    }
+
+    while (active < concurrency && pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (!job) {
+        continue;
+      }
+
+      active++;
+      // 隨下一次狀態變更寫入磁碟，用於計算等待與轉換時間
+      job.startedAt = new Date().toISOString();
+      console.log(`⚙️ 開始處理工作 ${job.id} (執行中: ${active}/${concurrency})`);
+
+      const context = {
+        setStatus: (status, extra = {}) => update(job.id, { status, ...extra }),
+        progress: (event) => events.emit('progress', job, event)
+      };
+
+      Promise.resolve()
+        .then(() => handler(job, context))
+        .then((result) => {
+          update(job.id, { ...result, status: JOB_STATUS.DONE, finishedAt: new Date().toISOString() });
+          console.log(`✅ 工作完成 ${job.id}`);
+        })
+        .catch((error) => {
+          console.error(`❌ 工作失敗 ${job.id}:`, error.message);
+          update(job.id, { status: JOB_STATUS.FAILED, error: error.message, finishedAt: new Date().toISOString() });
+        })
+        .finally(() => {
+          active--;
+          runNext();
+        });
+    }
+  };
+
+  /**
+   * 新增工作並排入佇列
+   */
+  const enqueue = (payload) => {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      createdAt: now,
+      updatedAt: now,
+      ...payload
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job.id);
+    persist();
+    events.emit('update', job);
+    console.log(`📥 工作已排入佇列 ${job.id} (等待中: ${pending.length})`);
+
+    runNext();
+    return job;
+  };
+
+  /**
+   * 載入先前保存的工作並開始處理
+   */
+  const start = () => {
+    const saved = readJSON(storePath, []);
+    for (const job of saved) {
+      jobs.set(job.id, job);
+    }
+    prune();
+
+    let restored = 0;
+    for (const job of jobs.values()) {
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        continue;
+      }
+
+      const files = job.files || (job.file ? [job.file] : []);
+      if (files.some(file => file.path && !fs.existsSync(file.path))) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = '伺服器重啟後找不到原始上傳檔案';
+        continue;
+      }
+
+      job.status = JOB_STATUS.QUEUED;
+      pending.push(job.id);
+      restored++;
+    }
+
+    persist();
+    started = true;
+
+    pruneTimer = setInterval(() => {
+      if (prune() > 0) {
+        persist();
+      }
+    }, HOUR_MS);
+    pruneTimer.unref();
+
+    if (restored > 0) {
+      console.log(`♻️ 恢復 ${restored} 個未完成的工作`);
+    }
+
+    runNext();
+  };
+
+  /**
+   * 停止定期清除，並寫入尚未保存的進度
+   */
+  const stop = () => {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+    if (persistTimer) {
+      persist();
+    }
+  };
+
+  const get = (id) => jobs.get(id) || null;
+
+  const list = () => Array.from(jobs.values());
+
+  const stats = () => ({
+    queued: pending.length,
+    active,
+    total: jobs.size,
+    concurrency
+  });
+
+  return {
+    enqueue,
+    start,
+    stop,
+    get,
+    list,
+    update,
+    stats,
+    events
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  JOB_STATUS,
+  TERMINAL_STATUSES
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 讀取 JSON 檔案，檔案不存在或格式錯誤時回傳預設值
+ */
+function readJSON(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn('⚠️ 無法讀取 JSON 檔案，使用預設值:', path.basename(filePath), error.message);
+    return fallback;
+  }
+}
+
+/**
+ * 以「先寫暫存檔再改名」的方式寫入 JSON，避免中途當機留下損毀的檔案
+ */
+function writeJSON(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  readJSON,
+  writeJSON
+};
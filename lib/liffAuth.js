@@ -0,0 +1,128 @@
+const axios = require('axios');
+
+const DEFAULT_VERIFY_URL = 'https://api.line.me/oauth2/v2.1/verify';
+
+/**
+ * 建立帶有 HTTP 狀態與錯誤代碼的錯誤
+ */
+const authError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+/**
+ * 取得 ID Token 的 aud (LINE Login Channel ID)
+ *
+ * 未設定 LINE_LOGIN_CHANNEL_ID 時，使用 LIFF ID 的前綴 (LIFF ID 格式為 `<channelId>-<random>`)
+ */
+function getChannelId() {
+  if (process.env.LINE_LOGIN_CHANNEL_ID) {
+    return process.env.LINE_LOGIN_CHANNEL_ID;
+  }
+  if (process.env.LINE_LIFF_ID) {
+    return process.env.LINE_LIFF_ID.split('-')[0];
+  }
+  return null;
+}
+
+/**
+ * 是否強制驗證 LIFF ID Token (預設啟用，僅本機開發可設定 LIFF_AUTH_REQUIRED=false 關閉)
+ */
+function isAuthRequired() {
+  return process.env.LIFF_AUTH_REQUIRED !== 'false';
+}
+
+/**
+ * 驗證 LIFF ID Token 並回傳 claims
+ *
+ * 透過 LINE 的驗證端點檢查簽章 (LINE_ID_TOKEN_VERIFY_URL 可改指向本機的替代服務)，
+ * 並在本機再次確認 aud 與到期時間
+ */
+async function verifyIdToken(idToken) {
+  if (!idToken) {
+    throw authError(401, 'MISSING_ID_TOKEN', '缺少 LINE 身分驗證資訊，請從 LINE 重新開啟頁面');
+  }
+
+  const channelId = getChannelId();
+  if (!channelId) {
+    throw authError(500, 'AUTH_NOT_CONFIGURED', '伺服器未設定 LINE_LOGIN_CHANNEL_ID，無法驗證使用者身分');
+  }
+
+  const verifyUrl = process.env.LINE_ID_TOKEN_VERIFY_URL || DEFAULT_VERIFY_URL;
+
+  let claims;
+  try {
+    const response = await axios.post(
+      verifyUrl,
+      new URLSearchParams({ id_token: idToken, client_id: channelId }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: parseInt(process.env.LINE_ID_TOKEN_VERIFY_TIMEOUT) || 5000
+      }
+    );
+    claims = response.data;
+  } catch (error) {
+    if (error.response && error.response.status >= 400 && error.response.status < 500) {
+      const description = error.response.data && error.response.data.error_description;
+      if (description && /expired/i.test(description)) {
+        throw authError(401, 'ID_TOKEN_EXPIRED', 'LINE 登入已過期，請重新登入');
+      }
+      throw authError(401, 'INVALID_ID_TOKEN', 'LINE 身分驗證失敗');
+    }
+    console.error('❌ 無法連線到 ID Token 驗證端點:', error.message);
+    throw authError(503, 'AUTH_UNAVAILABLE', '暫時無法驗證 LINE 身分，請稍後再試');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(channelId)) {
+    throw authError(401, 'INVALID_ID_TOKEN', 'LINE 身分驗證失敗 (aud 不符)');
+  }
+
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw authError(401, 'ID_TOKEN_EXPIRED', 'LINE 登入已過期，請重新登入');
+  }
+
+  if (!claims.sub) {
+    throw authError(401, 'INVALID_ID_TOKEN', 'LINE 身分驗證失敗 (缺少使用者 ID)');
+  }
+
+  return claims;
+}
+
+/**
+ * 從 Authorization: Bearer 標頭取出 ID Token
+ */
+function extractIdToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express 中介軟體：驗證 LIFF ID Token，成功後將 claims 放在 req.lineUser
+ */
+function requireLiffUser(req, res, next) {
+  if (!isAuthRequired()) {
+    req.lineUser = null;
+    return next();
+  }
+
+  verifyIdToken(extractIdToken(req))
+    .then((claims) => {
+      req.lineUser = claims;
+      next();
+    })
+    .catch((error) => {
+      console.warn('🔒 LINE 身分驗證失敗:', error.code, error.message);
+      res.status(error.status || 401).json({
+        success: false,
+        code: error.code || 'INVALID_ID_TOKEN',
+        error: error.message
+      });
+    });
+}
+
+module.exports = {
+  verifyIdToken,
+  extractIdToken,
+  requireLiffUser,
+  isAuthRequired,
+  getChannelId
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// 預設遮蔽的欄位 (不分大小寫，任何深度的物件欄位都會比對)
+const DEFAULT_REDACT_FIELDS = [
+  'name',
+  'userName',
+  'email',
+  'userEmail',
+  'phone',
+  'userPhone',
+  'replyToken',
+  'authorization',
+  'idToken'
+];
+
+const REDACTED = '[REDACTED]';
+
+// 外部傳入的 X-Request-Id 只接受常見的 ID 字元，避免寫入任意內容到日誌
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+// console 方法對應的日誌等級
+const CONSOLE_LEVELS = {
+  debug: 'debug',
+  log: 'info',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+/**
+ * 建立結構化日誌
+ *
+ * - format 為 json 時每行輸出一筆 JSON (正式環境)，pretty 時維持原本的 emoji 文字格式 (本機開發)
+ * - 同一個請求 / 轉換工作中的日誌會自動帶上 requestId、jobId (以 AsyncLocalStorage 傳遞)
+ * - redactFields 中的欄位在輸出前一律遮蔽
+ * - captureConsole() 讓既有的 console.log / warn / error 也經過相同的格式與遮蔽
+ */
+function createLogger({ level = 'info', format = 'pretty', redactFields = DEFAULT_REDACT_FIELDS, quietPaths = [] } = {}) {
+  const storage = new AsyncLocalStorage();
+  const threshold = LEVELS[level] || LEVELS.info;
+  const redactKeys = new Set(redactFields.map(field => field.toLowerCase()));
+  const stdout = process.stdout;
+  const stderr = process.stderr;
+
+  /**
+   * 複製要輸出的值並遮蔽敏感欄位，Error 轉成可序列化的物件
+   */
+  const redact = (value, seen = new WeakSet()) => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined ? { code: value.code } : {}),
+        stack: value.stack
+      };
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[Buffer ${value.length} bytes]`;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      redactKeys.has(key.toLowerCase()) && item !== null && item !== undefined ? REDACTED : redact(item, seen)
+    ]));
+  };
+
+  const formatPretty = (message, fields, context) => {
+    // console 的其他參數 (args) 依原本的順序接在訊息後面
+    const { args = [], ...rest } = fields;
+    const values = Object.keys(rest).length > 0 ? [...args, rest] : args;
+    const parts = values.map(value => {
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (value && typeof value.stack === 'string') {
+        return value.stack;
+      }
+      return util.inspect(value, { depth: 6, breakLength: Infinity });
+    });
+    const tag = context.requestId ? ` [${context.requestId.slice(0, 8)}]` : '';
+    return [message + tag, ...parts].join(' ');
+  };
+
+  /**
+   * summary 為 true 時訊息已包含欄位內容，pretty 格式不再重複輸出欄位
+   */
+  const write = (levelName, message, fields = {}, { summary = false } = {}) => {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+
+    const context = storage.getStore() || {};
+    const redacted = redact(fields);
+    const stream = LEVELS[levelName] >= LEVELS.warn ? stderr : stdout;
+
+    if (format === 'json') {
+      stream.write(`${JSON.stringify({
+        time: new Date().toISOString(),
+        level: levelName,
+        msg: message,
+        ...context,
+        ...redacted
+      })}\n`);
+    } else {
+      stream.write(`${formatPretty(message, summary ? {} : redacted, { ...context, ...(summary ? redacted : {}) })}\n`);
+    }
+  };
+
+  /**
+   * 在指定的日誌內容 (requestId、jobId 等) 中執行 fn，fn 中非同步產生的日誌也會帶上
+   */
+  const runWithContext = (context, fn) => storage.run({ ...(storage.getStore() || {}), ...context }, fn);
+
+  const getContext = () => storage.getStore() || {};
+
+  /**
+   * 將 console 的參數轉成訊息與欄位：字串與數字組成訊息，其餘參數放在 args
+   */
+  const fromConsoleArgs = (args) => {
+    const words = [];
+    const values = [];
+    for (const arg of args) {
+      if (arg !== null && typeof arg === 'object') {
+        values.push(arg);
+      } else if (values.length === 0) {
+        words.push(String(arg));
+      } else {
+        values.push(arg);
+      }
+    }
+    return [util.format(...words), values.length > 0 ? { args: values } : {}];
+  };
+
+  const captureConsole = () => {
+    for (const [method, levelName] of Object.entries(CONSOLE_LEVELS)) {
+      console[method] = (...args) => write(levelName, ...fromConsoleArgs(args));
+    }
+  };
+
+  /**
+   * Express 中介軟體：指定 requestId (沿用合法的 X-Request-Id 或產生新的)、
+   * 回傳 X-Request-Id 標頭，並在回應結束時記錄一筆請求日誌
+   */
+  const requestMiddleware = () => (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const status = res.statusCode;
+      const levelName = quietPaths.includes(req.path)
+        ? 'debug'
+        : (status >= 500 ? 'error' : (status >= 400 ? 'warn' : 'info'));
+      const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+      // 不記錄查詢字串 (含下載連結的簽章)
+      write(levelName, `📝 ${req.method} ${req.path} ${status} ${durationMs}ms`, {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status,
+        durationMs
+      }, { summary: true });
+    });
+
+    runWithContext({ requestId }, next);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    runWithContext,
+    getContext,
+    captureConsole,
+    requestMiddleware
+  };
+}
+
+module.exports = {
+  createLogger,
+  DEFAULT_REDACT_FIELDS
+};
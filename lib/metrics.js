@@ -0,0 +1,190 @@
+const client = require('prom-client');
+const { safeEqual } = require('./adminAuth');
+
+// 秒；涵蓋一般文件 (數秒) 到接近轉換逾時的大型簡報
+const CONVERSION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+const NOTIFICATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * 建立 Prometheus 指標
+ *
+ * - 計數與耗時由呼叫端在轉換流程中回報 (recordUpload、observeLibreOffice 等)
+ * - 佇列深度、執行中的轉換程式、寄件匣與磁碟用量在每次抓取時從 sources 讀取：
+ *   sources.queue() → { queued, active }、sources.converterPool() → { running, queued }、
+ *   sources.outbox() → { <狀態>: 數量 }、sources.disk() → (Promise) { <類型>: { count, bytes } }
+ * - 掃描儲存空間較耗時，用量最多每 diskCacheSeconds 秒重新計算一次
+ * - 設定 token 時 /metrics 需要 `Authorization: Bearer <token>`
+ */
+function createMetrics({ prefix = 'liff_uploader_', sources = {}, token = null, diskCacheSeconds = 60 } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix });
+
+  const metric = (Type, name, help, labelNames, extra = {}) => new Type({
+    name: `${prefix}${name}`,
+    help,
+    labelNames,
+    registers: [registry],
+    ...extra
+  });
+
+  const uploads = metric(client.Counter, 'uploads_total', '上傳的檔案數，依格式與結果 (accepted / rejected / invalid / limited / failed) 分類', ['type', 'outcome']);
+  const limited = metric(client.Counter, 'upload_limited_total', '因頻率限制或每日額度被拒絕的上傳請求', ['code', 'reason']);
+  const jobs = metric(client.Counter, 'conversion_jobs_total', '結束的轉換工作數', ['status', 'cached']);
+  const jobDuration = metric(client.Histogram, 'conversion_job_duration_seconds', '轉換工作從開始到結束的時間', ['status'], { buckets: CONVERSION_BUCKETS });
+  const libreOfficeDuration = metric(client.Histogram, 'libreoffice_duration_seconds', 'LibreOffice 轉換為 PDF 的時間', ['outcome'], { buckets: CONVERSION_BUCKETS });
+  const renderDuration = metric(client.Histogram, 'pdf_render_duration_seconds', '單一文件渲染頁面圖片的時間，依渲染後端分類', ['renderer', 'outcome'], { buckets: CONVERSION_BUCKETS });
+  const renderAttempts = metric(client.Counter, 'pdf_render_attempts_total', '渲染後端的嘗試次數；fallback 為 true 表示前一個後端失敗後改用', ['renderer', 'outcome', 'fallback']);
+  const pagesRendered = metric(client.Counter, 'pages_rendered_total', '產生的頁面圖片數', ['renderer', 'format']);
+  const notificationDuration = metric(client.Histogram, 'notification_duration_seconds', '通知 (N8N Webhook、LINE 等) 每次送出的時間', ['target', 'type', 'outcome'], { buckets: NOTIFICATION_BUCKETS });
+  const notifications = metric(client.Counter, 'notifications_total', '通知送出次數 (含重試)', ['target', 'type', 'outcome']);
+
+  metric(client.Gauge, 'queue_jobs', '轉換佇列中的工作數', ['state'], {
+    collect() {
+      if (sources.queue) {
+        const stats = sources.queue();
+        this.set({ state: 'queued' }, stats.queued);
+        this.set({ state: 'active' }, stats.active);
+      }
+    }
+  });
+
+  metric(client.Gauge, 'converter_processes', '外部轉換程式的數量', ['state'], {
+    collect() {
+      if (sources.converterPool) {
+        const stats = sources.converterPool();
+        this.set({ state: 'running' }, stats.running);
+        this.set({ state: 'queued' }, stats.queued);
+      }
+    }
+  });
+
+  metric(client.Gauge, 'notification_outbox_entries', '通知寄件匣中的通知數', ['status'], {
+    collect() {
+      if (sources.outbox) {
+        for (const [status, count] of Object.entries(sources.outbox())) {
+          this.set({ status }, count);
+        }
+      }
+    }
+  });
+
+  // 兩個指標共用同一次掃描 (可能是遠端儲存的列表請求)
+  let diskUsage = null;
+  let diskUsageAt = 0;
+  const getDiskUsage = () => {
+    if (!diskUsage || Date.now() - diskUsageAt > diskCacheSeconds * 1000) {
+      diskUsage = Promise.resolve(sources.disk()).catch(error => {
+        console.warn('⚠️ 無法取得儲存用量:', error.message);
+        diskUsageAt = 0;
+        return {};
+      });
+      diskUsageAt = Date.now();
+    }
+    return diskUsage;
+  };
+
+  metric(client.Gauge, 'artifact_disk_bytes', '上傳檔案與輸出檔案佔用的儲存空間', ['type'], {
+    async collect() {
+      if (sources.disk) {
+        for (const [type, usage] of Object.entries(await getDiskUsage())) {
+          this.set({ type }, usage.bytes);
+        }
+      }
+    }
+  });
+
+  metric(client.Gauge, 'artifact_disk_items', '上傳檔案與輸出檔案的數量 (PDF 檔或頁面圖片資料夾)', ['type'], {
+    async collect() {
+      if (sources.disk) {
+        for (const [type, usage] of Object.entries(await getDiskUsage())) {
+          this.set({ type }, usage.count);
+        }
+      }
+    }
+  });
+
+  const outcomeOf = (success) => (success ? 'success' : 'failure');
+
+  const recordUpload = (type, outcome) => {
+    uploads.inc({ type: type || 'unknown', outcome });
+  };
+
+  const recordLimit = (code, reason) => {
+    limited.inc({ code, reason });
+  };
+
+  /**
+   * 執行轉換工作並記錄結果與耗時，錯誤照常拋出
+   */
+  const timeJob = async (run) => {
+    const end = jobDuration.startTimer();
+    try {
+      const result = await run();
+      end({ status: 'done' });
+      jobs.inc({ status: 'done', cached: String(!!(result && result.conversionResult && result.conversionResult.cached)) });
+      return result;
+    } catch (error) {
+      end({ status: 'failed' });
+      jobs.inc({ status: 'failed', cached: 'false' });
+      throw error;
+    }
+  };
+
+  const observeLibreOffice = (durationMs, success) => {
+    libreOfficeDuration.observe({ outcome: outcomeOf(success) }, durationMs / 1000);
+  };
+
+  const observeRender = ({ renderer, success, fallback, durationMs }) => {
+    const outcome = outcomeOf(success);
+    renderDuration.observe({ renderer, outcome }, durationMs / 1000);
+    renderAttempts.inc({ renderer, outcome, fallback: String(fallback) });
+  };
+
+  const countPages = (renderer, format, count) => {
+    if (count > 0) {
+      pagesRendered.inc({ renderer, format }, count);
+    }
+  };
+
+  const observeNotification = ({ target, type, success, durationMs }) => {
+    const labels = { target: target || type, type, outcome: outcomeOf(success) };
+    notificationDuration.observe(labels, durationMs / 1000);
+    notifications.inc(labels);
+  };
+
+  /**
+   * Express 路由：輸出 Prometheus 文字格式
+   */
+  const handler = async (req, res) => {
+    if (token) {
+      const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+      if (!bearer || !safeEqual(bearer[1].trim(), token)) {
+        return res.status(401).json({ success: false, error: '指標驗證失敗' });
+      }
+    }
+
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.end(await registry.metrics());
+    } catch (error) {
+      console.error('❌ 產生指標失敗:', error);
+      res.status(500).end(error.message);
+    }
+  };
+
+  return {
+    registry,
+    recordUpload,
+    recordLimit,
+    timeJob,
+    observeLibreOffice,
+    observeRender,
+    countPages,
+    observeNotification,
+    handler
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+// 通知狀態
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 計算下一次重試的延遲 (指數退避 + jitter)
+ *
+ * 延遲落在 [delay / 2, delay] 之間，避免大量失敗的通知在同一時間一起重送
+ */
+function computeBackoff(attempts, baseDelayMs, maxDelayMs) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * 建立通知寄件匣
+ *
+ * - dispatch() 會立即嘗試送出，失敗時保存到 storePath 並依退避時間重試
+ * - 超過 maxAttempts 次仍失敗的通知會移到 dead-letter (status = dead)，可透過 replay() 手動重送
+ * - deliver(entry) 負責實際送出，失敗時應拋出錯誤；entry.retryKey 在同一輪重試中固定，手動重送時會換新
+ * - 已送達超過 retentionHours、dead-letter 超過 deadRetentionHours 的通知每小時清除一次
+ */
+function createNotificationOutbox({
+  storePath,
+  deliver,
+  maxAttempts = 6,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollIntervalMs = 5000,
+  retentionHours = 72,
+  deadRetentionHours = 7 * 24,
+  onDelivered = () => {},
+  onDead = () => {}
+}) {
+  const entries = new Map();
+  const inFlight = new Set();
+  let timer = null;
+  let pruneTimer = null;
+
+  const persist = () => {
+    try {
+      writeJSON(storePath, Array.from(entries.values()));
+    } catch (error) {
+      console.error('❌ 通知寄件匣寫入失敗:', error.message);
+    }
+  };
+
+  const prune = () => {
+    let removed = 0;
+    const cutoffs = {
+      [OUTBOX_STATUS.DELIVERED]: Date.now() - retentionHours * HOUR_MS,
+      [OUTBOX_STATUS.DEAD]: Date.now() - deadRetentionHours * HOUR_MS
+    };
+    for (const [id, entry] of entries) {
+      const cutoff = cutoffs[entry.status];
+      if (cutoff !== undefined && !inFlight.has(id) && new Date(entry.updatedAt).getTime() < cutoff) {
+        entries.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  /**
+   * 嘗試送出一筆通知並更新狀態
+   */
+  const attempt = async (entry) => {
+    if (inFlight.has(entry.id)) {
+      return { delivered: false, error: '通知正在送出中', entry };
+    }
+
+    inFlight.add(entry.id);
+    entry.attempts++;
+    const attemptAt = new Date().toISOString();
+
+    try {
+      const response = await deliver(entry);
+
+      entry.status = OUTBOX_STATUS.DELIVERED;
+      entry.lastError = null;
+      entry.nextAttemptAt = null;
+      entry.deliveredAt = attemptAt;
+      entry.history.push({ attemptAt, success: true, responseStatus: response && response.status });
+      entry.updatedAt = attemptAt;
+      persist();
+
+      if (entry.attempts > 1) {
+        console.log(`✅ 通知重送成功 ${entry.id} (第 ${entry.attempts} 次)`);
+      }
+      onDelivered(entry);
+      return { delivered: true, response, entry };
+
+    } catch (error) {
+      const errorMessage = error.code && !error.response
+        ? `${error.message} (${error.code})`
+        : error.message;
+
+      entry.lastError = errorMessage;
+      entry.history.push({ attemptAt, success: false, error: errorMessage });
+      entry.updatedAt = attemptAt;
+
+      if (entry.attempts >= entry.maxAttempts) {
+        entry.status = OUTBOX_STATUS.DEAD;
+        entry.nextAttemptAt = null;
+        console.error(`💀 通知已達重試上限，移到 dead-letter ${entry.id}:`, errorMessage);
+        persist();
+        onDead(entry);
+      } else {
+        const delay = computeBackoff(entry.attempts, baseDelayMs, maxDelayMs);
+        entry.status = OUTBOX_STATUS.PENDING;
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`⏳ 通知送出失敗，${Math.round(delay / 1000)} 秒後重試 ${entry.id} (${entry.attempts}/${entry.maxAttempts}):`, errorMessage);
+        persist();
+      }
+
+      return { delivered: false, error: errorMessage, entry };
+
+    } finally {
+      inFlight.delete(entry.id);
+    }
+  };
+
+  /**
+   * 處理到期的重試
+   */
+  const tick = async () => {
+    const now = Date.now();
+    const due = Array.from(entries.values()).filter(entry =>
+      entry.status === OUTBOX_STATUS.PENDING &&
+      entry.nextAttemptAt &&
+      new Date(entry.nextAttemptAt).getTime() <= now
+    );
+
+    for (const entry of due) {
+      await attempt(entry);
+    }
+  };
+
+  /**
+   * 建立通知並立即嘗試送出
+   */
+  const dispatch = (data) => {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      retryKey: crypto.randomUUID(),
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: null,
+      lastError: null,
+      history: [],
+      ...data
+    };
+
+    entries.set(entry.id, entry);
+    return attempt(entry);
+  };
+
+  /**
+   * 手動重送 (dead-letter 或等待中的通知)，重送會重新計算重試次數
+   *
+   * LINE 對 24 小時內重複的 retry key 回應 409 而不會再送出，因此每次手動重送都換一個新的
+   */
+  const replay = (id) => {
+    const entry = entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.attempts = 0;
+    entry.retryKey = crypto.randomUUID();
+    entry.status = OUTBOX_STATUS.PENDING;
+    entry.nextAttemptAt = null;
+    console.log('🔁 手動重送通知:', id);
+    return attempt(entry);
+  };
+
+  const list = ({ status } = {}) => Array.from(entries.values())
+    .filter(entry => !status || entry.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const get = (id) => entries.get(id) || null;
+
+  const stats = () => {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    for (const entry of entries.values()) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  };
+
+  /**
+   * 載入保存的通知並開始定期重試
+   */
+  const start = () => {
+    for (const entry of readJSON(storePath, [])) {
+      // 送出途中重啟的通知沒有排定時間，立即重試
+      if (entry.status === OUTBOX_STATUS.PENDING && !entry.nextAttemptAt) {
+        entry.nextAttemptAt = new Date().toISOString();
+      }
+      entries.set(entry.id, entry);
+    }
+    prune();
+    persist();
+
+    const pending = list({ status: OUTBOX_STATUS.PENDING }).length;
+    if (pending > 0) {
+      console.log(`📮 寄件匣中有 ${pending} 則待重試的通知`);
+    }
+
+    timer = setInterval(() => {
+      tick().catch(error => console.error('❌ 通知重試失敗:', error.message));
+    }, pollIntervalMs);
+    timer.unref();
+
+    pruneTimer = setInterval(() => {
+      if (prune() > 0) {
+        persist();
+      }
+    }, HOUR_MS);
+    pruneTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    clearInterval(pruneTimer);
+    timer = null;
+    pruneTimer = null;
+  };
+
+  return {
+    dispatch,
+    replay,
+    list,
+    get,
+    stats,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createNotificationOutbox,
+  computeBackoff,
+  OUTBOX_STATUS
+};
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const { readJSON } = require('../jsonStore');
+const { renderers, interpolate, createTemplateContext, EVENT_TYPES } = require('./renderers');
+const { transports } = require('./transports');
+
+/**
+ * 通知目標
+ *
+ * 目標清單來自 NOTIFIERS_CONFIG 指定的 JSON 檔 (格式參考 notifiers.example.json)：
+ *   { "targets": [ { "name", "type", "events", "renderer", "template", ... } ] }
+ *
+ * - type: n8n | webhook | slack | email | line
+ * - events: success (預設) | failure | all
+ * - renderer: 內容格式，預設依 type 決定 (見 DEFAULT_RENDERERS)
+ * - 字串設定值可用 ${ENV_NAME} 引用環境變數，避免把密鑰寫進設定檔
+ *
+ * 沒有設定檔時，沿用 N8N_WEBHOOK_URL 建立 N8N 目標；
+ * SEND_LINE_NOTIFICATION=true 時另外直接以 LINE Messaging API 推播結果給使用者
+ */
+
+const DEFAULT_RENDERERS = {
+  n8n: 'n8n-enhanced',
+  webhook: 'summary',
+  slack: 'slack',
+  email: 'email',
+  line: 'line-flex'
+};
+
+const EVENT_FILTERS = {
+  success: [EVENT_TYPES.SUCCEEDED],
+  failure: [EVENT_TYPES.FAILED],
+  all: [EVENT_TYPES.SUCCEEDED, EVENT_TYPES.FAILED]
+};
+
+/**
+ * 以環境變數取代設定值中的 ${NAME}
+ */
+function resolveEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item)]));
+  }
+  return value;
+}
+
+/**
+ * 未提供設定檔時的預設目標
+ */
+function getDefaultTargets() {
+  const targets = [];
+
+  if (process.env.N8N_WEBHOOK_URL) {
+    targets.push({
+      name: 'n8n',
+      type: 'n8n',
+      url: process.env.N8N_WEBHOOK_URL,
+      secret: process.env.N8N_WEBHOOK_SECRET,
+      timeout: parseInt(process.env.N8N_REQUEST_TIMEOUT) || 15000,
+      events: 'success'
+    });
+  }
+
+  if (process.env.SEND_LINE_NOTIFICATION === 'true') {
+    targets.push({
+      name: 'line-push',
+      type: 'line',
+      channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+      baseUrl: process.env.LINE_API_BASE_URL,
+      events: 'all'
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * 檢查目標設定，回傳錯誤訊息 (沒有錯誤時回傳 null)
+ */
+function validateTarget(target) {
+  if (!target.name) {
+    return '缺少 name';
+  }
+  if (!transports[target.type]) {
+    return `不支援的 type: ${target.type}`;
+  }
+  if (!EVENT_FILTERS[target.events]) {
+    return `不支援的 events: ${target.events}`;
+  }
+  if (!renderers[target.renderer]) {
+    return `不支援的 renderer: ${target.renderer}`;
+  }
+  if (['n8n', 'webhook', 'slack'].includes(target.type) && !target.url) {
+    return '缺少 url';
+  }
+  if (target.type === 'email' && (!target.host || !target.from || !target.to)) {
+    return 'Email 目標需要 host、from、to';
+  }
+  if (target.type === 'line' && !target.channelAccessToken) {
+    return 'LINE 目標需要 channelAccessToken';
+  }
+  return null;
+}
+
+/**
+ * 載入通知目標
+ */
+function loadTargets(configPath) {
+  let rawTargets;
+
+  if (configPath && fs.existsSync(configPath)) {
+    const config = readJSON(configPath, { targets: [] });
+    rawTargets = config.targets || [];
+    console.log('📋 載入通知目標設定:', configPath);
+  } else {
+    rawTargets = getDefaultTargets();
+  }
+
+  const targets = [];
+  for (const rawTarget of rawTargets) {
+    const target = resolveEnv(rawTarget);
+    target.events = target.events || 'success';
+    target.renderer = target.renderer || DEFAULT_RENDERERS[target.type];
+
+    // N8N 目標預設沿用 N8N_WEBHOOK_SECRET 簽章
+    if (target.type === 'n8n' && !target.secret) {
+      target.secret = process.env.N8N_WEBHOOK_SECRET;
+    }
+
+    if (target.enabled === false) {
+      continue;
+    }
+
+    const error = validateTarget(target);
+    if (error) {
+      console.warn(`⚠️ 略過通知目標 ${target.name || '(未命名)'}:`, error);
+      continue;
+    }
+
+    if (targets.some(existing => existing.name === target.name)) {
+      console.warn(`⚠️ 略過重複的通知目標名稱: ${target.name}`);
+      continue;
+    }
+
+    targets.push(target);
+  }
+
+  return targets;
+}
+
+/**
+ * 建立通知中心
+ *
+ * notify() 依事件篩選目標、產生內容並交給寄件匣送出 (失敗時自動重試)；
+ * deliver() 供寄件匣實際送出時呼叫
+ */
+function createNotifier({ configPath, outbox }) {
+  const targets = loadTargets(configPath);
+  const targetsByName = new Map(targets.map(target => [target.name, target]));
+
+  /**
+   * 依目標類型組出寄件匣的內容
+   */
+  const buildEntry = (target, event, rendered) => {
+    const context = createTemplateContext(event);
+
+    switch (target.type) {
+      case 'n8n':
+      case 'webhook': {
+        const headers = { 'X-Event-Type': event.type };
+        // 讓接收端能以同一個 ID 對照上傳、轉換與通知的日誌
+        if (event.requestId) {
+          headers['X-Request-Id'] = event.requestId;
+        }
+        if (target.type === 'n8n') {
+          const imageCount = event.conversionResult ? event.conversionResult.imageFiles.count : 0;
+          Object.assign(headers, {
+            'X-Source': 'line-bot-file-converter-enhanced',
+            'X-Custom-Type': 'file-conversion-with-user-info',
+            // 移除可能有問題的中文標頭，改為在 body 中傳送
+            'X-Has-Images': imageCount > 0 ? 'true' : 'false',
+            'X-File-Count': imageCount.toString()
+          });
+        }
+        // 先序列化，簽章必須針對實際送出的位元組計算
+        return { url: target.url, body: JSON.stringify(rendered.body), headers, timeout: target.timeout };
+      }
+
+      case 'slack':
+        return { payload: rendered.body };
+
+      case 'email': {
+        const to = interpolate(target.to, context);
+        if (!to) {
+          return null;
+        }
+        return { payload: { to, subject: rendered.subject, text: rendered.text, html: rendered.html } };
+      }
+
+      case 'line': {
+        const to = target.to ? interpolate(target.to, context) : event.userInfo.liffUserId;
+        if (!to) {
+          return null;
+        }
+        return {
+          payload: { to, messages: rendered.messages },
+          fallbackPayload: rendered.fallbackMessages ? { to, messages: rendered.fallbackMessages } : null
+        };
+      }
+
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * 發送事件到所有符合條件的目標
+   */
+  const notify = async (event) => {
+    const matched = targets.filter(target => EVENT_FILTERS[target.events].includes(event.type));
+
+    if (matched.length === 0) {
+      console.warn('⚠️ 沒有符合事件的通知目標，跳過發送通知:', event.type);
+      return [];
+    }
+
+    const results = [];
+    for (const target of matched) {
+      console.log(`💬 發送通知 → ${target.name} (${target.type}, ${target.renderer})`);
+
+      let rendered;
+      let entryData;
+      try {
+        rendered = renderers[target.renderer](event, target);
+        entryData = buildEntry(target, event, rendered);
+      } catch (error) {
+        console.error(`❌ 產生通知內容失敗 ${target.name}:`, error.message);
+        results.push({ target: target.name, type: target.type, success: false, error: error.message });
+        continue;
+      }
+
+      if (!entryData) {
+        console.log(`⏭️ 通知目標 ${target.name} 沒有收件者，略過`);
+        results.push({ target: target.name, type: target.type, success: false, skipped: true, error: '沒有收件者' });
+        continue;
+      }
+
+      const delivery = await outbox.dispatch({
+        type: target.type,
+        target: target.name,
+        ...entryData,
+        meta: {
+          jobId: event.jobId || null,
+          requestId: event.requestId || null,
+          event: event.type,
+          fileName: event.fileInfo.fileName
+        }
+      });
+
+      if (delivery.delivered) {
+        console.log(`✅ 通知已送出 → ${target.name}`);
+      } else {
+        console.error(`❌ 通知送出失敗，已排入重試 → ${target.name}:`, delivery.error);
+      }
+
+      results.push({
+        target: target.name,
+        type: target.type,
+        success: delivery.delivered,
+        error: delivery.delivered ? null : delivery.error,
+        outboxId: delivery.entry.id,
+        retryScheduled: !delivery.delivered && delivery.entry.status === 'pending',
+        responseStatus: delivery.response ? delivery.response.status : null,
+        usedFallback: !!(delivery.response && delivery.response.usedFallback),
+        replyToken: rendered.replyToken || null,
+        downloadLinks: rendered.downloadLinks || null
+      });
+    }
+
+    return results;
+  };
+
+  /**
+   * 實際送出寄件匣中的通知
+   */
+  const deliver = (entry) => {
+    const target = targetsByName.get(entry.target || entry.type);
+    if (!target) {
+      throw new Error(`通知目標不存在或已停用: ${entry.target || entry.type}`);
+    }
+
+    const transport = transports[entry.type];
+    if (!transport) {
+      throw new Error(`不支援的通知類型: ${entry.type}`);
+    }
+
+    return transport(entry, target);
+  };
+
+  /**
+   * 目標摘要 (不含密鑰)
+   */
+  const listTargets = () => targets.map(target => ({
+    name: target.name,
+    type: target.type,
+    events: target.events,
+    renderer: target.renderer,
+    templated: !!target.template
+  }));
+
+  return {
+    notify,
+    deliver,
+    listTargets
+  };
+}
+
+module.exports = {
+  createNotifier,
+  loadTargets,
+  EVENT_TYPES,
+  DEFAULT_RENDERERS
+};
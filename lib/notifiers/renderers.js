@@ -0,0 +1,603 @@
+const path = require('path');
+
+/**
+ * 通知內容產生器
+ *
+ * 每個 renderer 接收通知事件 (event) 與目標設定 (target)，回傳對應傳送方式所需的內容：
+ *   - webhook 類 (n8n / webhook / slack): { body }
+ *   - email: { subject, text, html }
+ *   - line: { messages, fallbackMessages (選用，主要訊息被拒絕時改送) }
+ *
+ * event 欄位：type ('conversion.succeeded' | 'conversion.failed')、jobId、requestId、userInfo、fileInfo、
+ * conversionResult (成功時)、error (失敗時)
+ *
+ * 目標設定了 template 時，以樣板取代預設的文字訊息，樣板可使用 {{user.name}}、{{file.fileName}}、
+ * {{result.pdfFile.downloadUrl}}、{{error}} 等變數
+ */
+
+const EVENT_TYPES = {
+  SUCCEEDED: 'conversion.succeeded',
+  FAILED: 'conversion.failed'
+};
+
+/**
+ * 生成 reply token
+ */
+function generateReplyToken() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let token = '';
+  for (let i = 0; i < 64; i++) {
+    token += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return token;
+}
+
+/**
+ * 樣板可用的變數
+ */
+function createTemplateContext(event) {
+  return {
+    event: event.type,
+    jobId: event.jobId || null,
+    user: event.userInfo || {},
+    file: event.fileInfo || {},
+    result: event.conversionResult || {},
+    error: event.error || null,
+    time: new Date().toLocaleString('zh-TW')
+  };
+}
+
+/**
+ * 以 {{a.b.c}} 取代樣板中的變數，找不到的變數以空字串取代
+ */
+function interpolate(template, context) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), context);
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * 單一輸出文件的下載連結文字
+ */
+function describeDocumentLinks(document) {
+  let text = `📄 PDF 檔案：\n${document.pdfFile.downloadUrl}\n\n`;
+
+  if (document.imageFiles.count > 0) {
+    text += `🖼️ 圖片檔案 (${document.imageFiles.count} 張)：\n`;
+    text += `📦 批量下載(ZIP)：\n${document.imageFiles.zipDownloadUrl}\n\n`;
+
+    if (document.imageFiles.files && document.imageFiles.files.length > 0) {
+      text += `📋 個別頁面：\n`;
+      document.imageFiles.files.forEach((img) => {
+        text += `第 ${img.page} 頁：${img.downloadUrl}\n`;
+      });
+    }
+  } else {
+    text += `⚠️ 圖片轉換未成功，僅提供 PDF 下載\n`;
+  }
+
+  return text;
+}
+
+/**
+ * 構造包含下載連結的 LINE 風格訊息
+ *
+ * 批次上傳時 conversionResult.documents 會有多份文件，合併模式則只有一份包含所有來源檔案的文件
+ */
+function createEnhancedLineMessage(userInfo, originalFileName, conversionResult) {
+  const documents = conversionResult.documents || [conversionResult];
+
+  let messageText = `📄 ${userInfo.name} 您好！檔案轉換完成！\n\n`;
+  messageText += `原檔案：${originalFileName}\n`;
+  if (conversionResult.merged) {
+    messageText += `合併順序：${documents[0].sourceFiles.join(' → ')}\n`;
+  }
+  messageText += `轉換時間：${new Date().toLocaleString('zh-TW')}\n\n`;
+  
+  messageText += `🔗 下載連結：\n`;
+  if (documents.length > 1) {
+    documents.forEach((document, index) => {
+      messageText += `\n【${index + 1}/${documents.length}】${document.pdfFile.name}\n`;
+      messageText += describeDocumentLinks(document);
+    });
+  } else {
+    messageText += describeDocumentLinks(documents[0]);
+  }
+  
+  return messageText;
+}
+
+/**
+ * 構造轉換失敗的訊息
+ */
+function createFailureMessage(userInfo, originalFileName, errorMessage) {
+  let messageText = `⚠️ ${userInfo.name} 您好，檔案轉換失敗\n\n`;
+  messageText += `原檔案：${originalFileName}\n`;
+  messageText += `時間：${new Date().toLocaleString('zh-TW')}\n`;
+  messageText += `原因：${errorMessage}\n\n`;
+  messageText += `請確認檔案內容後重新上傳`;
+  return messageText;
+}
+
+/**
+ * 取得事件的文字訊息 (目標有樣板時使用樣板)
+ */
+function renderText(event, target = {}) {
+  if (target.template) {
+    return interpolate(target.template, createTemplateContext(event));
+  }
+  if (event.type === EVENT_TYPES.FAILED) {
+    return createFailureMessage(event.userInfo, event.fileInfo.fileName, event.error);
+  }
+  return createEnhancedLineMessage(event.userInfo, event.fileInfo.fileName, event.conversionResult);
+}
+
+/**
+ * N8N 增強版 LINE Webhook 格式
+ */
+function renderN8NEnhanced(event, target) {
+  const { userInfo, fileInfo } = event;
+  const replyToken = generateReplyToken();
+  const messageText = renderText(event, target);
+
+  if (event.type === EVENT_TYPES.FAILED) {
+    return {
+      replyToken,
+      body: {
+        destination: process.env.LINE_BOT_USER_ID || 'bot_destination',
+        events: [
+          {
+            type: 'message',
+            mode: 'active',
+            timestamp: Date.now(),
+            source: {
+              type: 'user',
+              userId: userInfo.liffUserId || 'anonymous_user'
+            },
+            replyToken: replyToken,
+            message: {
+              type: 'text',
+              id: `msg_${Date.now()}`,
+              text: messageText
+            }
+          }
+        ],
+        userInfo: {
+          name: userInfo.name,
+          email: userInfo.email || null,
+          phone: userInfo.phone || null,
+          liffUserId: userInfo.liffUserId || null,
+          submissionTime: new Date().toISOString()
+        },
+        fileProcessing: {
+          originalFile: {
+            name: fileInfo.fileName,
+            size: fileInfo.fileSize,
+            uploadTime: fileInfo.uploadTime
+          },
+          error: event.error
+        },
+        n8nProcessingHints: {
+          shouldReplyToUser: true,
+          replyToken: replyToken,
+          messageType: 'file_conversion_failed',
+          userName: userInfo.name,
+          recommendedAction: 'notify_user_of_failure'
+        }
+      }
+    };
+  }
+
+  const conversionResult = event.conversionResult;
+
+  // 增強版資料結構，確保中文字串正確編碼
+  const enhancedLineData = {
+    // === LINE Webhook 標準格式 ===
+    destination: process.env.LINE_BOT_USER_ID || 'bot_destination',
+    events: [
+      {
+        type: 'message',
+        mode: 'active',
+        timestamp: Date.now(),
+        source: {
+          type: 'user',
+          userId: userInfo.liffUserId || 'anonymous_user'
+        },
+        replyToken: replyToken,
+        message: {
+          type: 'text',
+          id: `msg_${Date.now()}`,
+          text: messageText
+        }
+      }
+    ],
+    
+    // === 完整的使用者資訊 (確保中文字串正確) ===
+    userInfo: {
+      name: userInfo.name,  // 保持原始中文字串
+      email: userInfo.email || null,
+      phone: userInfo.phone || null,
+      liffUserId: userInfo.liffUserId || null,
+      submissionTime: new Date().toISOString()
+    },
+    
+    // === 檔案處理資訊 ===
+    fileProcessing: {
+      originalFile: {
+        name: fileInfo.fileName,  // 保持原始中文檔名
+        size: fileInfo.fileSize,
+        uploadTime: fileInfo.uploadTime,
+        // 批次上傳的各個檔案 (依上傳順序)
+        files: fileInfo.files || null
+      },
+      
+      // PDF 結果 (包含完整下載連結)
+      pdfResult: {
+        fileName: conversionResult.pdfFile.name,
+        downloadUrl: conversionResult.pdfFile.downloadUrl,
+        fileSize: conversionResult.pdfFile.size,
+        // 直接提供可點擊的連結
+        directDownloadLink: conversionResult.pdfFile.downloadUrl
+      },
+      
+      // 圖片結果 (包含所有下載選項)
+      imageResult: {
+        count: conversionResult.imageFiles.count,
+        hasImages: conversionResult.imageFiles.count > 0,
+        // 使用者指定的輸出設定 (頁面範圍、格式、DPI、最大寬度、品質)
+        options: conversionResult.renderOptions || null,
+        renderer: conversionResult.renderer || null,
+        
+        // 批量下載選項
+        batchDownload: {
+          zipUrl: conversionResult.imageFiles.zipDownloadUrl,
+          folderUrl: conversionResult.imageFiles.downloadUrl
+        },
+        
+        // 個別檔案下載連結
+        individualFiles: conversionResult.imageFiles.files.map(file => ({
+          page: file.page,
+          fileName: file.name,
+          downloadUrl: file.downloadUrl,
+          thumbnailUrl: file.thumbnailUrl || null,
+          // 直接可用的連結
+          directLink: file.downloadUrl
+        }))
+      },
+      
+      // 批次上傳時每份輸出文件的結果，合併模式只有一份
+      merged: conversionResult.merged === true,
+      documents: (conversionResult.documents || [conversionResult]).map(document => ({
+        sourceFiles: document.sourceFiles || [fileInfo.fileName],
+        pdfFileName: document.pdfFile.name,
+        pdfUrl: document.pdfFile.downloadUrl,
+        pdfSize: document.pdfFile.size,
+        imageCount: document.imageFiles.count,
+        imageZipUrl: document.imageFiles.zipDownloadUrl
+      })),
+      
+      processTime: conversionResult.processTime
+    },
+    
+    // === 所有下載連結的匯總 (方便 N8N 直接取用) ===
+    downloadLinks: {
+      // PDF 下載
+      pdf: {
+        url: conversionResult.pdfFile.downloadUrl,
+        fileName: conversionResult.pdfFile.name,
+        type: 'pdf'
+      },
+      
+      // 圖片下載 (如果有的話)
+      images: conversionResult.imageFiles.count > 0 ? {
+        // ZIP 批量下載
+        zipDownload: {
+          url: conversionResult.imageFiles.zipDownloadUrl,
+          fileName: `${path.parse(fileInfo.fileName).name}-images.zip`,
+          type: 'zip',
+          description: `包含 ${conversionResult.imageFiles.count} 張圖片`
+        },
+        
+        // 個別圖片下載
+        individual: conversionResult.imageFiles.files.map(file => ({
+          url: file.downloadUrl,
+          fileName: file.name,
+          page: file.page,
+          type: 'image'
+        }))
+      } : null
+    },
+    
+    // === N8N 處理提示 ===
+    n8nProcessingHints: {
+      shouldReplyToUser: true,
+      replyToken: replyToken,
+      messageType: 'file_conversion_completed',
+      userName: userInfo.name,  // 保持原始中文姓名
+      hasMultipleDownloads: conversionResult.imageFiles.count > 0,
+      recommendedAction: 'send_download_links_with_user_greeting',
+      
+      // 建議的回覆格式
+      suggestedReplyFormat: {
+        greeting: `${userInfo.name} 您好！`,  // 保持中文格式
+        pdfLink: `📄 PDF: ${conversionResult.pdfFile.downloadUrl}`,
+        imageLinks: conversionResult.imageFiles.count > 0 ? 
+          `🖼️ 圖片 (${conversionResult.imageFiles.count}張): ${conversionResult.imageFiles.zipDownloadUrl}` : null
+      }
+    }
+  };
+
+  return {
+    replyToken,
+    downloadLinks: enhancedLineData.downloadLinks,
+    body: enhancedLineData
+  };
+}
+
+/**
+ * 通用 JSON 摘要格式
+ */
+function renderSummary(event, target) {
+  const result = event.conversionResult;
+
+  return {
+    body: {
+      event: event.type,
+      jobId: event.jobId || null,
+      timestamp: new Date().toISOString(),
+      message: renderText(event, target),
+      user: {
+        name: event.userInfo.name,
+        email: event.userInfo.email || null,
+        phone: event.userInfo.phone || null,
+        liffUserId: event.userInfo.liffUserId || null
+      },
+      file: {
+        name: event.fileInfo.fileName,
+        size: event.fileInfo.fileSize,
+        uploadTime: event.fileInfo.uploadTime,
+        files: event.fileInfo.files || null
+      },
+      result: result ? {
+        pdfUrl: result.pdfFile.downloadUrl,
+        pdfSize: result.pdfFile.size,
+        imageCount: result.imageFiles.count,
+        imageZipUrl: result.imageFiles.zipDownloadUrl,
+        images: result.imageFiles.files.map(file => ({ page: file.page, url: file.downloadUrl, thumbnailUrl: file.thumbnailUrl || null })),
+        renderOptions: result.renderOptions || null,
+        renderer: result.renderer || null,
+        merged: result.merged === true,
+        documents: (result.documents || [result]).map(document => ({
+          name: document.pdfFile.name,
+          sourceFiles: document.sourceFiles || [event.fileInfo.fileName],
+          pdfUrl: document.pdfFile.downloadUrl,
+          imageCount: document.imageFiles.count,
+          imageZipUrl: document.imageFiles.zipDownloadUrl
+        }))
+      } : null,
+      error: event.error || null
+    }
+  };
+}
+
+/**
+ * Slack 相容的 Incoming Webhook 格式
+ */
+function renderSlack(event, target) {
+  const result = event.conversionResult;
+  const succeeded = event.type === EVENT_TYPES.SUCCEEDED;
+  const title = succeeded
+    ? `📄 ${event.userInfo.name} 的檔案「${event.fileInfo.fileName}」轉換完成`
+    : `⚠️ ${event.userInfo.name} 的檔案「${event.fileInfo.fileName}」轉換失敗`;
+
+  const text = target.template ? renderText(event, target) : title;
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text } }
+  ];
+
+  if (succeeded) {
+    const documents = result.documents || [result];
+    documents.forEach(document => {
+      const links = [`<${document.pdfFile.downloadUrl}|${documents.length > 1 ? document.pdfFile.name : 'PDF 下載'}>`];
+      if (document.imageFiles.count > 0) {
+        links.push(`<${document.imageFiles.zipDownloadUrl}|圖片 ZIP (${document.imageFiles.count} 張)>`);
+      }
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: links.join(' ・ ') } });
+    });
+  } else {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `原因：${event.error}` } });
+  }
+
+  return {
+    body: { text, blocks }
+  };
+}
+
+/**
+ * Email 格式
+ */
+function renderEmail(event, target) {
+  const succeeded = event.type === EVENT_TYPES.SUCCEEDED;
+  const text = renderText(event, target);
+  const subject = target.subject
+    ? interpolate(target.subject, createTemplateContext(event))
+    : `${succeeded ? '檔案轉換完成' : '檔案轉換失敗'}：${event.fileInfo.fileName}`;
+
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  // 網址轉為可點擊的連結，只接受可解析的 http(s) 網址，其他內容原樣顯示
+  const linkify = (candidate) => {
+    let url;
+    try {
+      url = new URL(candidate);
+    } catch (error) {
+      return escapeHtml(candidate);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return escapeHtml(candidate);
+    }
+    return `<a href="${escapeHtml(url.href)}">${escapeHtml(candidate)}</a>`;
+  };
+
+  // 純文字內容先切出網址再分別跳脫，避免檔名或網址中的引號跳出 href 屬性
+  const html = text
+    .split(/(https?:\/\/[^\s<>"']+)/g)
+    .map((part, index) => (index % 2 === 1 ? linkify(part) : escapeHtml(part)))
+    .join('')
+    .replace(/\n/g, '<br>');
+
+  return { subject, text, html };
+}
+
+/**
+ * LINE 文字訊息格式
+ */
+function renderLineText(event, target) {
+  return {
+    messages: [
+      { type: 'text', text: renderText(event, target).slice(0, 5000) }
+    ]
+  };
+}
+
+// LINE Flex carousel 最多 12 個 bubble，摘要在前、頁面預覽在後
+const MAX_FLEX_BUBBLES = 12;
+
+/**
+ * Flex Message 按鈕
+ */
+function flexButton(label, uri, style = 'link') {
+  return {
+    type: 'button',
+    style,
+    height: 'sm',
+    action: { type: 'uri', label, uri }
+  };
+}
+
+/**
+ * 轉換結果摘要 bubble，批次上傳未合併時每份文件各一個
+ */
+function createSummaryBubble(event, result, title) {
+  const buttons = [flexButton('下載 PDF', result.pdfFile.downloadUrl, 'primary')];
+  if (result.imageFiles.count > 0) {
+    buttons.push(flexButton(`下載全部圖片 (${result.imageFiles.count} 張)`, result.imageFiles.zipDownloadUrl, 'secondary'));
+  }
+
+  return {
+    type: 'bubble',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        { type: 'text', text: '📄 檔案轉換完成', weight: 'bold', size: 'lg', color: '#8b7e74' },
+        { type: 'text', text: `${event.userInfo.name} 您好！`, size: 'sm', color: '#a89b91' },
+        { type: 'text', text: title, size: 'md', wrap: true, margin: 'md' },
+        {
+          type: 'text',
+          text: result.imageFiles.count > 0 ? `共 ${result.imageFiles.count} 頁` : '圖片轉換未成功，僅提供 PDF 下載',
+          size: 'xs',
+          color: '#a89b91'
+        }
+      ]
+    },
+    footer: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: buttons
+    }
+  };
+}
+
+/**
+ * 單頁預覽 bubble，LINE 只接受 HTTPS 圖片
+ */
+function createPageBubble(file) {
+  const imageUrl = file.thumbnailUrl || file.downloadUrl;
+
+  return {
+    type: 'bubble',
+    size: 'micro',
+    hero: {
+      type: 'image',
+      url: imageUrl,
+      size: 'full',
+      aspectRatio: '3:4',
+      aspectMode: 'cover',
+      action: { type: 'uri', uri: file.downloadUrl }
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [
+        { type: 'text', text: `第 ${file.page} 頁`, size: 'sm', align: 'center', color: '#8b7e74' }
+      ]
+    }
+  };
+}
+
+/**
+ * LINE Flex Message 格式 (轉換結果 carousel)，附帶純文字備援訊息
+ */
+function renderLineFlex(event, target) {
+  const fallbackMessages = renderLineText(event, target).messages;
+
+  // 失敗事件只需要文字說明
+  if (event.type === EVENT_TYPES.FAILED) {
+    return { messages: fallbackMessages };
+  }
+
+  const result = event.conversionResult;
+  const documents = result.documents || [result];
+  const summaryBubbles = documents.length > 1
+    ? documents.slice(0, MAX_FLEX_BUBBLES).map(document => createSummaryBubble(event, document, document.pdfFile.name))
+    : [createSummaryBubble(event, documents[0], event.fileInfo.fileName)];
+
+  // 頁面預覽只列出第一份文件
+  const pageBubbles = documents[0].imageFiles.files
+    .filter(file => /^https:\/\//.test(file.thumbnailUrl || file.downloadUrl))
+    .slice(0, MAX_FLEX_BUBBLES - summaryBubbles.length)
+    .map(createPageBubble);
+
+  return {
+    messages: [
+      {
+        type: 'flex',
+        altText: `📄 ${event.fileInfo.fileName} 轉換完成`.slice(0, 400),
+        contents: {
+          type: 'carousel',
+          contents: [...summaryBubbles, ...pageBubbles]
+        }
+      }
+    ],
+    fallbackMessages
+  };
+}
+
+const renderers = {
+  'n8n-enhanced': renderN8NEnhanced,
+  'summary': renderSummary,
+  'slack': renderSlack,
+  'email': renderEmail,
+  'line-text': renderLineText,
+  'line-flex': renderLineFlex
+};
+
+module.exports = {
+  EVENT_TYPES,
+  renderers,
+  interpolate,
+  createTemplateContext,
+  createEnhancedLineMessage,
+  createFailureMessage,
+  renderText,
+  generateReplyToken
+};
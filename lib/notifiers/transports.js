@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createSignatureHeaders } = require('../webhookSignature');
+
+/**
+ * 通知傳送方式
+ *
+ * 每個 transport 接收寄件匣中的 entry 與目標設定 (target)，失敗時拋出錯誤讓寄件匣重試。
+ * 密鑰、Token、SMTP 帳密只存在目標設定中，不會寫入寄件匣檔案
+ */
+
+const DEFAULT_LINE_API_BASE_URL = 'https://api.line.me';
+
+/**
+ * 產生簽章標頭，目標沒有設定密鑰時不簽章
+ */
+function getSignatureHeaders(body, secret) {
+  if (!secret) {
+    return {};
+  }
+  return createSignatureHeaders(body, secret);
+}
+
+/**
+ * 一般 Webhook (含 N8N)：送出已序列化的 JSON，每次送出都重新簽章
+ */
+async function sendWebhook(entry, target) {
+  return axios.post(entry.url || target.url, entry.body, {
+    headers: {
+      'Content-Type': 'application/json; charset=UTF-8',  // 明確指定 UTF-8
+      'User-Agent': 'LINE-Bot/1.0',
+      ...(target.headers || {}),
+      ...(entry.headers || {}),
+      ...getSignatureHeaders(entry.body, target.secret),
+      'X-Delivery-Id': entry.id,
+      'X-Delivery-Attempt': String(entry.attempts),
+      'Accept': 'application/json',
+      'Accept-Charset': 'utf-8'
+    },
+    timeout: entry.timeout || target.timeout || 15000,
+    // body 已經是序列化後的 UTF-8 JSON 字串，不再轉換
+    transformRequest: [function (data) {
+      return data;
+    }]
+  });
+}
+
+/**
+ * Slack 相容的 Incoming Webhook
+ */
+async function sendSlack(entry, target) {
+  return axios.post(target.url, entry.payload, {
+    headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+    timeout: target.timeout || 15000
+  });
+}
+
+// 依目標快取 SMTP 連線設定
+const mailTransporters = new Map();
+
+/**
+ * SMTP Email
+ */
+async function sendEmail(entry, target) {
+  let transporter = mailTransporters.get(target.name);
+  if (!transporter) {
+    const nodemailer = require('nodemailer');
+    transporter = nodemailer.createTransport({
+      host: target.host,
+      port: parseInt(target.port) || 587,
+      secure: target.secure === true || target.secure === 'true',
+      auth: target.user ? { user: target.user, pass: target.pass } : undefined,
+      // 本機測試用的 SMTP 伺服器通常沒有正式憑證
+      tls: target.allowSelfSigned ? { rejectUnauthorized: false } : undefined,
+      connectionTimeout: target.timeout || 15000
+    });
+    mailTransporters.set(target.name, transporter);
+  }
+
+  const info = await transporter.sendMail({
+    from: target.from,
+    to: entry.payload.to,
+    subject: entry.payload.subject,
+    text: entry.payload.text,
+    html: entry.payload.html
+  });
+
+  return { status: 250, messageId: info.messageId };
+}
+
+/**
+ * 由字串推導固定的 UUID，讓同一則備援訊息在重試時使用相同的 retry key
+ */
+function deriveRetryKey(seed) {
+  const hex = crypto.createHash('sha256').update(seed).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * 呼叫 LINE Messaging API push 端點 (LINE_API_BASE_URL 可改指向本機的替代服務)
+ */
+function pushLineMessages(target, payload, retryKey) {
+  const baseUrl = (target.baseUrl || DEFAULT_LINE_API_BASE_URL).replace(/\/$/, '');
+  return axios.post(`${baseUrl}/v2/bot/message/push`, payload, {
+    headers: {
+      'Content-Type': 'application/json; charset=UTF-8',
+      'Authorization': `Bearer ${target.channelAccessToken}`,
+      // 重試時使用相同的 retry key，避免使用者收到重複訊息
+      'X-Line-Retry-Key': retryKey
+    },
+    timeout: target.timeout || 15000
+  });
+}
+
+/**
+ * LINE Messaging API push
+ *
+ * 主要訊息 (Flex) 被 LINE 以 400 拒絕時，改送 fallbackPayload 中的純文字訊息
+ */
+async function sendLinePush(entry, target) {
+  // 舊版寄件匣的通知沒有 retryKey
+  const retryKey = entry.retryKey || entry.id;
+  try {
+    return await pushLineMessages(target, entry.payload, retryKey);
+  } catch (error) {
+    if (!entry.fallbackPayload || !error.response || error.response.status !== 400) {
+      throw error;
+    }
+
+    console.warn('⚠️ LINE 拒絕 Flex Message，改送純文字訊息:', JSON.stringify(error.response.data));
+    const response = await pushLineMessages(target, entry.fallbackPayload, deriveRetryKey(`${retryKey}:fallback`));
+    response.usedFallback = true;
+    return response;
+  }
+}
+
+const transports = {
+  n8n: sendWebhook,
+  webhook: sendWebhook,
+  slack: sendSlack,
+  email: sendEmail,
+  line: sendLinePush
+};
+
+module.exports = {
+  transports,
+  DEFAULT_LINE_API_BASE_URL
+};
@@ -0,0 +1,385 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IMAGE_FORMATS, LOSSY_FORMATS, getOutputSize } = require('./renderOptions');
+
+/**
+ * PDF 頁面渲染後端
+ *
+ * 每個後端提供：
+ * - isAvailable()：執行環境是否具備所需的工具
+ * - render({ pdfPath, outputDir, baseName, pages, pageSizes, renderOptions, onPage })：
+ *   pages 為要輸出的頁碼 (null 表示頁數未知，輸出全部)，pageSizes 為每頁尺寸 (pt)，
+ *   每頁完成時呼叫 onPage(filePath, page, position, total)，回傳 [{ path, page }]
+ *
+ * 輸出檔名一律為 <baseName>.<頁碼><副檔名>
+ */
+
+// 自動選擇時的優先順序
+const RENDERER_ORDER = ['pdftoppm', 'pdf2pic', 'imagemagick'];
+
+const getOutputPath = (outputDir, baseName, page, format) =>
+  path.join(outputDir, `${baseName}.${page}${IMAGE_FORMATS[format].extension}`);
+
+/**
+ * 在系統暫存目錄建立工作資料夾，並以固定檔名複製輸入的 PDF (與 LibreOffice 轉換相同)；
+ * 輸入與輸出都使用固定檔名，原始檔名中的特殊字元 ([]、*、?、: 等) 不會被轉換工具解讀
+ */
+async function withWorkDir(pdfPath, run) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'liff-render-'));
+  try {
+    const inputPath = path.join(workDir, 'input.pdf');
+    await fs.promises.copyFile(pdfPath, inputPath);
+    return await run(workDir, inputPath);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 將工作資料夾中的輸出移到最終位置 (暫存目錄可能在不同的檔案系統，不能直接 rename)
+ */
+async function moveOutput(sourcePath, targetPath) {
+  await fs.promises.copyFile(sourcePath, targetPath);
+  await fs.promises.rm(sourcePath, { force: true });
+}
+
+/**
+ * poppler 的 pdftoppm：不需要 ImageMagick / GraphicsMagick / Ghostscript
+ *
+ * pdftoppm 不支援 WebP，先輸出 PNG 再以 sharp 轉檔
+ */
+function createPdftoppmRenderer({ systemTools, processPool }) {
+  const POPPLER_FORMATS = {
+    png: { flag: '-png', extension: '.png' },
+    jpeg: { flag: '-jpeg', extension: '.jpg' },
+    tiff: { flag: '-tiff', extension: '.tif' },
+    webp: { flag: '-png', extension: '.png' }
+  };
+
+  const getFormatArgs = (renderOptions) => {
+    const { format, quality } = renderOptions;
+    if (format === 'jpeg') {
+      return ['-jpeg', '-jpegopt', `quality=${quality}`];
+    }
+    if (format === 'tiff') {
+      return ['-tiff', '-tiffcompression', 'lzw'];
+    }
+    return [POPPLER_FORMATS[format].flag];
+  };
+
+  /**
+   * 將 pdftoppm 的輸出搬到最終檔名 (WebP 需轉檔)
+   */
+  const finalize = async (renderedPath, targetPath, renderOptions) => {
+    if (renderOptions.format === 'webp') {
+      const sharp = require('sharp');
+      await sharp(renderedPath).webp({ quality: renderOptions.quality }).toFile(targetPath);
+      await fs.promises.rm(renderedPath, { force: true });
+    } else {
+      await moveOutput(renderedPath, targetPath);
+    }
+  };
+
+  const render = async ({ pdfPath, outputDir, baseName, pages, pageSizes, renderOptions, onPage }) => {
+    const pdftoppmPath = systemTools.get('pdftoppm');
+    const { format, dpi, maxWidth } = renderOptions;
+    const { extension } = POPPLER_FORMATS[format];
+
+    return withWorkDir(pdfPath, async (workDir, inputPath) => {
+      const results = [];
+
+      if (pages) {
+        // 每頁依自己的尺寸輸出，-scale-to-y -1 維持頁面比例
+        for (const [index, page] of pages.entries()) {
+          const { width } = getOutputSize(pageSizes[page - 1], dpi, maxWidth);
+          const prefix = path.join(workDir, `page-${page}`);
+          await processPool.run(pdftoppmPath, [
+            '-f', String(page),
+            '-l', String(page),
+            '-r', String(dpi),
+            '-scale-to-x', String(width),
+            '-scale-to-y', '-1',
+            ...getFormatArgs(renderOptions),
+            '-singlefile',
+            inputPath,
+            prefix
+          ], { label: 'pdftoppm' });
+
+          const filePath = getOutputPath(outputDir, baseName, page, format);
+          await finalize(`${prefix}${extension}`, filePath, renderOptions);
+          results.push({ path: filePath, page });
+          onPage(filePath, page, index + 1, pages.length);
+        }
+        return results;
+      }
+
+      // 頁數未知時一次輸出全部頁面，檔名為 page-<頁碼> (頁碼可能補零)
+      const { width } = getOutputSize(null, dpi, maxWidth);
+      await processPool.run(pdftoppmPath, [
+        '-r', String(dpi),
+        '-scale-to-x', String(width),
+        '-scale-to-y', '-1',
+        ...getFormatArgs(renderOptions),
+        inputPath,
+        path.join(workDir, 'page')
+      ], { label: 'pdftoppm' });
+
+      const rendered = fs.readdirSync(workDir)
+        .map(name => ({ name, page: parseInt((/^page-(\d+)\./.exec(name) || [])[1], 10) }))
+        .filter(file => Number.isInteger(file.page))
+        .sort((a, b) => a.page - b.page);
+
+      for (const [index, { name, page }] of rendered.entries()) {
+        const filePath = getOutputPath(outputDir, baseName, page, format);
+        await finalize(path.join(workDir, name), filePath, renderOptions);
+        results.push({ path: filePath, page });
+        onPage(filePath, page, index + 1, rendered.length);
+      }
+      return results;
+    });
+  };
+
+  return {
+    name: 'pdftoppm',
+    label: 'Poppler (pdftoppm)',
+    isAvailable: () => !!systemTools.get('pdftoppm'),
+    render
+  };
+}
+
+/**
+ * GraphicsMagick (或 ImageMagick) 與 Ghostscript 渲染，失敗時以較低的 DPI 重試
+ *
+ * 參數與 pdf2pic 套件產生的 gm 指令相同，但透過 processPool 執行，
+ * 與其他後端一樣受逾時、記憶體上限與同時執行數量限制 (後端名稱沿用 pdf2pic，PDF_RENDERER 設定不變)
+ */
+function createPdf2picRenderer({ systemTools, processPool }) {
+  // 沒有 GraphicsMagick 時改用 ImageMagick 的 convert (參數相容)
+  const getCommand = (args) => (systemTools.get('gm')
+    ? [systemTools.get('gm'), ['convert', ...args]]
+    : [systemTools.get('convert'), args]);
+
+  const render = async ({ pdfPath, outputDir, baseName, pages, pageSizes, renderOptions, onPage }) => withWorkDir(pdfPath, async (workDir, inputPath) => {
+    const { format, dpi, maxWidth } = renderOptions;
+    const extension = IMAGE_FORMATS[format].extension;
+
+    /**
+     * 以指定的 DPI 與尺寸渲染 source (pdf:<路徑>[頁碼索引]) 到 target
+     */
+    const convert = (density, { width, height }, source, target) => {
+      const [command, args] = getCommand([
+        '-density', `${density}x${density}`,
+        source,
+        '-resize', `${width}x${height}!`,
+        '-quality', String(LOSSY_FORMATS.includes(format) ? renderOptions.quality : 0),
+        '-compress', format === 'tiff' ? 'LZW' : 'JPEG',
+        // 多頁時每頁各自輸出一個檔案 (TIFF 預設會合併成單一檔案)
+        '+adjoin',
+        `${format}:${target}`
+      ]);
+      return processPool.run(command, args, { label: 'GraphicsMagick' });
+    };
+
+    // 移到最終檔名，沒有產生檔案時回傳 null
+    const finalize = async (renderedPath, page) => {
+      if (!fs.existsSync(renderedPath) || fs.statSync(renderedPath).size === 0) {
+        return null;
+      }
+      const filePath = getOutputPath(outputDir, baseName, page, format);
+      await moveOutput(renderedPath, filePath);
+      return filePath;
+    };
+
+    // 第二次嘗試降低解析度
+    const densities = [dpi, Math.min(dpi, 150)];
+    let lastError = null;
+
+    for (let i = 0; i < densities.length; i++) {
+      try {
+        console.log(`🔄 嘗試轉換配置 ${i + 1}... (${format.toUpperCase()}, ${densities[i]} DPI)`);
+        const results = [];
+
+        if (pages) {
+          // 每頁依自己的尺寸等比例輸出
+          for (const [index, page] of pages.entries()) {
+            const renderedPath = path.join(workDir, `page-${page}${extension}`);
+            await convert(densities[i], getOutputSize(pageSizes[page - 1], densities[i], maxWidth), `pdf:${inputPath}[${page - 1}]`, renderedPath);
+            const filePath = await finalize(renderedPath, page);
+            if (filePath) {
+              results.push({ path: filePath, page });
+              onPage(filePath, page, index + 1, pages.length);
+            }
+          }
+        } else {
+          // 頁數未知時一次輸出全部頁面，%d 為從 0 開始的頁面索引
+          await convert(densities[i], getOutputSize(null, densities[i], maxWidth), `pdf:${inputPath}`, path.join(workDir, `page-%d${extension}`));
+          const rendered = fs.readdirSync(workDir)
+            .map(name => ({ name, page: parseInt(name.slice('page-'.length), 10) + 1 }))
+            .filter(file => Number.isInteger(file.page))
+            .sort((a, b) => a.page - b.page);
+
+          for (const [index, { name, page }] of rendered.entries()) {
+            const filePath = await finalize(path.join(workDir, name), page);
+            if (filePath) {
+              results.push({ path: filePath, page });
+              onPage(filePath, page, index + 1, rendered.length);
+            }
+          }
+        }
+
+        if (results.length > 0) {
+          console.log(`✅ 配置 ${i + 1} 轉換成功!`);
+          return results;
+        }
+        lastError = new Error('轉換完成但沒有生成有效的圖片檔案');
+      } catch (error) {
+        console.warn(`⚠️ 配置 ${i + 1} 轉換失敗:`, error.message);
+        lastError = error;
+      }
+
+      // 清除失敗的嘗試留下的檔案，避免與下一次的輸出混在一起
+      for (const name of fs.readdirSync(workDir)) {
+        if (name.startsWith('page-')) {
+          fs.rmSync(path.join(workDir, name), { force: true });
+        }
+      }
+    }
+
+    throw lastError;
+  });
+
+  return {
+    name: 'pdf2pic',
+    label: 'GraphicsMagick (gm convert)',
+    isAvailable: () => !!(systemTools.get('gm') || systemTools.get('convert')),
+    render
+  };
+}
+
+/**
+ * 直接執行 ImageMagick 的 convert
+ */
+function createImageMagickRenderer({ systemTools, processPool }) {
+  const render = async ({ pdfPath, outputDir, baseName, pages, renderOptions, onPage }) => {
+    const { format, dpi, maxWidth } = renderOptions;
+    const extension = IMAGE_FORMATS[format].extension;
+    // ImageMagick 的頁碼從 0 開始，輸出檔名的 %d 依選取順序編號
+    const quality = LOSSY_FORMATS.includes(format) ? renderOptions.quality : 85;
+
+    return withWorkDir(pdfPath, async (workDir, inputPath) => {
+      const source = `pdf:${inputPath}${pages ? `[${pages.map(page => page - 1).join(',')}]` : ''}`;
+      await processPool.run(systemTools.get('convert'), [
+        '-limit', 'memory', '256MiB',
+        '-limit', 'map', '512MiB',
+        '-density', String(dpi),
+        source,
+        '-resize', `${maxWidth}x>`,
+        '-quality', String(quality),
+        `${format}:${path.join(workDir, `page-%d${extension}`)}`
+      ], { label: 'ImageMagick' });
+
+      const rendered = fs.readdirSync(workDir)
+        .map(name => ({ name, index: parseInt(name.slice('page-'.length), 10) }))
+        .filter(file => Number.isInteger(file.index) && fs.statSync(path.join(workDir, file.name)).size > 100)
+        .sort((a, b) => a.index - b.index);
+
+      const results = [];
+      for (const [position, { name, index }] of rendered.entries()) {
+        const page = pages ? pages[index] : index + 1;
+        const filePath = getOutputPath(outputDir, baseName, page, format);
+        await moveOutput(path.join(workDir, name), filePath);
+        onPage(filePath, page, position + 1, rendered.length);
+        results.push({ path: filePath, page });
+      }
+      return results;
+    });
+  };
+
+  return {
+    name: 'imagemagick',
+    label: 'ImageMagick (convert)',
+    isAvailable: () => !!systemTools.get('convert'),
+    render
+  };
+}
+
+/**
+ * 建立渲染後端選擇器
+ *
+ * preferred 為 auto 時依 RENDERER_ORDER 選擇第一個可用的後端；
+ * 指定後端時優先使用，失敗時仍會改用其他可用的後端
+ *
+ * onAttempt({ renderer, success, fallback, durationMs, error }) 會在每個後端嘗試結束後被呼叫
+ * (fallback 為 true 表示前一個後端失敗後改用)
+ */
+function createPdfRenderers({ systemTools, processPool, preferred = 'auto', onAttempt = () => {} }) {
+  const renderers = {
+    pdftoppm: createPdftoppmRenderer({ systemTools, processPool }),
+    pdf2pic: createPdf2picRenderer({ systemTools, processPool }),
+    imagemagick: createImageMagickRenderer({ systemTools, processPool })
+  };
+
+  if (preferred !== 'auto' && !renderers[preferred]) {
+    console.warn(`⚠️ 未知的 PDF 渲染後端 ${preferred}，改為自動選擇`);
+    preferred = 'auto';
+  }
+
+  const order = preferred === 'auto'
+    ? RENDERER_ORDER
+    : [preferred, ...RENDERER_ORDER.filter(name => name !== preferred)];
+
+  const listAvailable = () => order.filter(name => renderers[name].isAvailable());
+
+  /**
+   * 目前會使用的後端名稱，沒有可用的後端時為 null
+   */
+  const select = () => listAvailable()[0] || null;
+
+  /**
+   * 依序嘗試可用的後端，回傳 { renderer, files }
+   */
+  const render = async (options) => {
+    const available = listAvailable();
+    if (available.length === 0) {
+      throw new Error('沒有可用的 PDF 渲染工具 (pdftoppm、GraphicsMagick 或 ImageMagick)');
+    }
+
+    let lastError = null;
+    for (const [index, name] of available.entries()) {
+      const startedAt = Date.now();
+      const report = (success, error = null) => onAttempt({ renderer: name, success, fallback: index > 0, durationMs: Date.now() - startedAt, error });
+      try {
+        console.log(`🖨️ 使用 ${renderers[name].label} 渲染頁面`);
+        const files = await renderers[name].render(options);
+        if (files.length === 0) {
+          throw new Error('轉換完成但沒有生成有效的圖片檔案');
+        }
+        report(true);
+        return { renderer: name, files };
+      } catch (error) {
+        console.warn(`⚠️ ${renderers[name].label} 渲染失敗:`, error.message);
+        report(false, error);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  const status = () => ({
+    preferred,
+    selected: select(),
+    available: Object.fromEntries(order.map(name => [name, renderers[name].isAvailable()]))
+  });
+
+  return {
+    select,
+    render,
+    status
+  };
+}
+
+module.exports = {
+  createPdfRenderers,
+  RENDERER_ORDER
+};
@@ -0,0 +1,197 @@
+const { spawn } = require('child_process');
+
+const PROCESS_ERROR_CODES = {
+  COMMAND_NOT_FOUND: 'COMMAND_NOT_FOUND',
+  PROCESS_TIMEOUT: 'PROCESS_TIMEOUT',
+  PROCESS_KILLED: 'PROCESS_KILLED',
+  PROCESS_FAILED: 'PROCESS_FAILED',
+  POOL_STOPPED: 'POOL_STOPPED'
+};
+
+// 錯誤訊息只保留 stderr 最後一段
+const STDERR_TAIL_LENGTH = 2000;
+
+function processError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * 建立外部轉換程式 (LibreOffice、ImageMagick 等) 的執行池
+ *
+ * - 以參數陣列 spawn，不經過 shell，檔名中的特殊字元不會被解讀
+ * - 同時執行的程式不超過 concurrency 個，其餘依序排隊
+ * - 每個程式在獨立的 process group 中執行，逾時或結束後連同衍生的子程序一起終止
+ *   (例如 soffice 會再啟動 soffice.bin)
+ * - 提供 prlimitPath 時以 prlimit 限制每個程式可用的記憶體 (address space)
+ */
+function createProcessPool({
+  concurrency = 2,
+  timeoutMs = 120000,
+  memoryLimitMb = 0,
+  killGraceMs = 5000,
+  maxOutputBytes = 1024 * 1024,
+  prlimitPath = null
+} = {}) {
+  const queue = [];
+  const running = new Set();
+  const counters = { completed: 0, failed: 0, timedOut: 0 };
+  let stopped = false;
+
+  /**
+   * 終止整個 process group，程式已結束時忽略
+   */
+  const killGroup = (child, signal) => {
+    if (!child.pid) {
+      return;
+    }
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      if (error.code !== 'ESRCH') {
+        console.warn('⚠️ 無法終止轉換程式:', child.pid, error.message);
+      }
+    }
+  };
+
+  const terminate = (child) => {
+    killGroup(child, 'SIGTERM');
+    const timer = setTimeout(() => killGroup(child, 'SIGKILL'), killGraceMs);
+    timer.unref();
+  };
+
+  const execute = (command, args, options) => new Promise((resolve, reject) => {
+    const label = options.label || command;
+    const limitMb = options.memoryLimitMb !== undefined ? options.memoryLimitMb : memoryLimitMb;
+    const limitTimeout = options.timeoutMs || timeoutMs;
+    const [file, fileArgs] = limitMb > 0 && prlimitPath
+      ? [prlimitPath, [`--as=${limitMb * 1024 * 1024}`, '--', command, ...args]]
+      : [command, args];
+
+    const startedAt = Date.now();
+    const child = spawn(file, fileArgs, {
+      cwd: options.cwd,
+      env: options.env || process.env,
+      shell: false,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    running.add(child);
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let settled = false;
+    const collect = (current, chunk) => (current.length < maxOutputBytes ? current + chunk.toString('utf8') : current);
+    child.stdout.on('data', chunk => { stdout = collect(stdout, chunk); });
+    child.stderr.on('data', chunk => { stderr = collect(stderr, chunk); });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      console.warn(`⏱️ ${label} 執行超過 ${Math.round(limitTimeout / 1000)} 秒，終止程式:`, child.pid);
+      terminate(child);
+    }, limitTimeout);
+
+    child.on('error', (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      running.delete(child);
+      counters.failed++;
+      reject(error.code === 'ENOENT'
+        ? processError(PROCESS_ERROR_CODES.COMMAND_NOT_FOUND, `找不到 ${label} 執行檔`)
+        : error);
+    });
+
+    child.on('close', (code, signal) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      running.delete(child);
+      // 主程式結束後，清掉仍在背景執行的子程序
+      killGroup(child, 'SIGKILL');
+
+      const durationMs = Date.now() - startedAt;
+      const stderrTail = stderr.slice(-STDERR_TAIL_LENGTH).trim();
+
+      if (timedOut) {
+        counters.timedOut++;
+        return reject(processError(PROCESS_ERROR_CODES.PROCESS_TIMEOUT, `${label} 轉換逾時 (${Math.round(limitTimeout / 1000)} 秒)`, { stderr: stderrTail }));
+      }
+      if (signal) {
+        counters.failed++;
+        // 超過記憶體限制時通常會被 SIGKILL / SIGSEGV / SIGABRT 終止
+        return reject(processError(PROCESS_ERROR_CODES.PROCESS_KILLED, `${label} 被 ${signal} 終止，可能超過記憶體限制`, { signal, stderr: stderrTail }));
+      }
+      if (code !== 0) {
+        counters.failed++;
+        return reject(processError(PROCESS_ERROR_CODES.PROCESS_FAILED, `${label} 執行失敗 (結束碼 ${code})${stderrTail ? `: ${stderrTail}` : ''}`, { exitCode: code, stderr: stderrTail }));
+      }
+
+      counters.completed++;
+      resolve({ stdout, stderr, durationMs });
+    });
+  });
+
+  const drain = () => {
+    while (running.size < concurrency && queue.length > 0) {
+      const task = queue.shift();
+      execute(task.command, task.args, task.options).then(task.resolve, task.reject).finally(drain);
+    }
+  };
+
+  /**
+   * 排入執行池並等待程式結束，回傳 { stdout, stderr, durationMs }
+   *
+   * options: cwd、env、label (記錄用名稱)、timeoutMs、memoryLimitMb (覆寫預設值)
+   */
+  const run = (command, args = [], options = {}) => {
+    if (stopped) {
+      return Promise.reject(processError(PROCESS_ERROR_CODES.POOL_STOPPED, '轉換程式執行池已停止'));
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ command, args, options, resolve, reject });
+      drain();
+    });
+  };
+
+  /**
+   * 停止接受新工作，終止排隊中與執行中的程式
+   */
+  const stop = () => {
+    stopped = true;
+    for (const task of queue.splice(0)) {
+      task.reject(processError(PROCESS_ERROR_CODES.POOL_STOPPED, '轉換程式執行池已停止'));
+    }
+    for (const child of running) {
+      terminate(child);
+    }
+  };
+
+  const stats = () => ({
+    concurrency,
+    running: running.size,
+    queued: queue.length,
+    timeoutMs,
+    memoryLimitMb: prlimitPath ? memoryLimitMb : 0,
+    ...counters
+  });
+
+  return {
+    run,
+    stop,
+    stats
+  };
+}
+
+module.exports = {
+  createProcessPool,
+  PROCESS_ERROR_CODES
+};
@@ -0,0 +1,170 @@
+/**
+ * 頁面圖片的輸出設定 (頁面範圍、格式、DPI、最大寬度、品質)
+ *
+ * 每次上傳可以指定自己的設定，未指定的欄位沿用環境變數的預設值
+ */
+
+// 可輸出的圖片格式，副檔名與 pdf2pic 產生的檔名一致
+const IMAGE_FORMATS = {
+  png: { label: 'PNG', extension: '.png', contentType: 'image/png' },
+  jpeg: { label: 'JPEG', extension: '.jpeg', contentType: 'image/jpeg' },
+  webp: { label: 'WebP', extension: '.webp', contentType: 'image/webp' },
+  tiff: { label: 'TIFF', extension: '.tiff', contentType: 'image/tiff' }
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+// 只有有損格式會使用 quality
+const LOSSY_FORMATS = ['jpeg', 'webp'];
+
+const LIMITS = {
+  dpi: { min: 72, max: 600 },
+  maxWidth: { min: 200, max: 5000 },
+  quality: { min: 1, max: 100 },
+  maxPageNumber: 10000,
+  maxPageSpecLength: 200
+};
+
+// 無法取得頁面尺寸時以 A4 直式比例計算
+const A4_SIZE = { width: 595.28, height: 841.89 };
+
+const RENDER_OPTION_ERROR = 'INVALID_RENDER_OPTIONS';
+
+function invalidOption(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = RENDER_OPTION_ERROR;
+  return error;
+}
+
+/**
+ * 環境變數設定的預設值
+ */
+function getDefaultRenderOptions() {
+  return {
+    pages: null,
+    format: FORMAT_ALIASES[process.env.IMAGE_OUTPUT_FORMAT] || process.env.IMAGE_OUTPUT_FORMAT || 'png',
+    dpi: parseInt(process.env.PDF_CONVERT_DENSITY) || 200,
+    maxWidth: parseInt(process.env.IMAGE_OUTPUT_WIDTH) || 1200,
+    quality: parseInt(process.env.IMAGE_OUTPUT_QUALITY) || 85
+  };
+}
+
+/**
+ * 解析頁面範圍，例如 "1-3,7" → [[1, 3], [7, 7]]
+ */
+function parsePageRanges(spec) {
+  const text = String(spec).replace(/\s+/g, '');
+  if (!text || text.length > LIMITS.maxPageSpecLength || !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(text)) {
+    throw invalidOption('頁面範圍格式錯誤，請使用例如 1-3,7 的格式');
+  }
+
+  return text.split(',').map(part => {
+    const [start, end = start] = part.split('-').map(Number);
+    if (start < 1 || end < start || end > LIMITS.maxPageNumber) {
+      throw invalidOption(`頁面範圍 ${part} 無效`);
+    }
+    return [start, end];
+  });
+}
+
+/**
+ * 依頁面範圍列出實際存在的頁碼 (遞增、不重複)，未指定範圍時為全部頁面
+ */
+function selectPages(spec, pageCount) {
+  const ranges = spec ? parsePageRanges(spec) : [[1, pageCount]];
+  const pages = new Set();
+  for (const [start, end] of ranges) {
+    for (let page = start; page <= Math.min(end, pageCount); page++) {
+      pages.add(page);
+    }
+  }
+  return Array.from(pages).sort((a, b) => a - b);
+}
+
+function parseInteger(value, name, { min, max }) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalidOption(`${name} 必須是 ${min} 到 ${max} 之間的整數`);
+  }
+  return number;
+}
+
+/**
+ * 驗證上傳請求帶來的輸出設定，回傳完整的設定
+ *
+ * input 欄位：pages、imageFormat、dpi、maxWidth、quality (表單欄位為字串，空值表示使用預設)
+ */
+function parseRenderOptions(input = {}, defaults = getDefaultRenderOptions()) {
+  const provided = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+  const options = { ...defaults };
+
+  if (provided(input.pages)) {
+    parsePageRanges(input.pages);
+    options.pages = String(input.pages).replace(/\s+/g, '');
+  }
+
+  if (provided(input.imageFormat)) {
+    const format = String(input.imageFormat).toLowerCase();
+    options.format = FORMAT_ALIASES[format] || format;
+    if (!IMAGE_FORMATS[options.format]) {
+      throw invalidOption(`不支援的圖片格式，可使用 ${Object.values(IMAGE_FORMATS).map(item => item.label).join('、')}`);
+    }
+  }
+
+  if (provided(input.dpi)) {
+    options.dpi = parseInteger(input.dpi, 'DPI', LIMITS.dpi);
+  }
+  if (provided(input.maxWidth)) {
+    options.maxWidth = parseInteger(input.maxWidth, '最大寬度', LIMITS.maxWidth);
+  }
+  if (provided(input.quality)) {
+    options.quality = parseInteger(input.quality, '品質', LIMITS.quality);
+  }
+
+  return options;
+}
+
+/**
+ * 計算頁面圖片的輸出尺寸：依 DPI 換算原始寬度，超過 maxWidth 時等比例縮小
+ *
+ * pageSize 為 PDF 頁面尺寸 (pt)
+ */
+function getOutputSize(pageSize, dpi, maxWidth) {
+  const size = pageSize && pageSize.width > 0 && pageSize.height > 0 ? pageSize : A4_SIZE;
+  const naturalWidth = Math.round(size.width / 72 * dpi);
+  const width = Math.min(naturalWidth, maxWidth);
+  return {
+    width,
+    height: Math.max(1, Math.round(width * size.height / size.width))
+  };
+}
+
+/**
+ * 是否為頁面圖片檔案
+ */
+function isImageFileName(fileName) {
+  const lowerName = fileName.toLowerCase();
+  return lowerName.endsWith('.jpg') || Object.values(IMAGE_FORMATS).some(format => lowerName.endsWith(format.extension));
+}
+
+/**
+ * 從 pdf2pic 產生的檔名 (<名稱>.<頁碼>.<副檔名>) 取得頁碼
+ */
+function getPageNumber(fileName) {
+  const match = /\.(\d+)\.[a-z]+$/i.exec(fileName);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  LOSSY_FORMATS,
+  RENDER_OPTION_ERROR,
+  getDefaultRenderOptions,
+  parseRenderOptions,
+  parsePageRanges,
+  selectPages,
+  getOutputSize,
+  isImageFileName,
+  getPageNumber
+};
@@ -0,0 +1,303 @@
+const path = require('path');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 建立保存期限清理程式
+ *
+ * - directories: { <類型>: { storage, prefix, ttlHours } }，透過儲存後端 (見 lib/storage) 掃描 prefix 底下的第一層檔案或資料夾，
+ *   每一個視為一個產出物 (key 為 <prefix>/<名稱>)；ttlHours 為 0 表示永久保存
+ * - 轉換完成的產出物透過 register() 記錄擁有者，用於計算每位使用者的空間配額 (quotaBytes，0 表示不限制)；
+ *   登記的本機路徑依 rootDir 轉成儲存 key，遠端儲存也能對應
+ * - 同一個產出物可被多個工作登記 (轉換快取沿用先前的輸出)，保存期限從最後一次登記起算；
+ *   被多位擁有者共用的產出物不會因配額被刪除
+ * - 沒有登記、也不屬於進行中工作的產出物 (例如轉換中途失敗留下的部分檔案) 超過 orphanGraceMinutes 後視為孤兒檔案清除
+ * - isProtected(key) 回傳 true 的產出物一律保留
+ * - dryRun 模式只回報會被刪除的項目，不實際刪除
+ */
+function createRetentionJanitor({
+  directories,
+  rootDir,
+  manifestPath,
+  quotaBytes = 0,
+  orphanGraceMinutes = 60,
+  intervalMinutes = 60,
+  dryRun = false,
+  isProtected = () => false
+}) {
+  let manifest = [];
+  let lastReport = null;
+  let running = null;
+  let timer = null;
+
+  const persist = () => {
+    try {
+      writeJSON(manifestPath, manifest);
+    } catch (error) {
+      console.error('❌ 檔案清單寫入失敗:', error.message);
+    }
+  };
+
+  /**
+   * 本機路徑轉成儲存 key (舊版登記清單保存的是絕對路徑)
+   */
+  const toKey = (artifactPath) => (path.isAbsolute(artifactPath)
+    ? path.relative(rootDir, artifactPath).split(path.sep).join('/')
+    : artifactPath);
+
+  /**
+   * 登記轉換產出的檔案與擁有者
+   */
+  const register = ({ jobId, owner, paths }) => {
+    manifest.push({
+      jobId,
+      owner: owner || 'anonymous',
+      keys: paths.filter(Boolean).map(artifactPath => toKey(path.resolve(artifactPath))),
+      createdAt: new Date().toISOString()
+    });
+    persist();
+  };
+
+  /**
+   * 掃描各類型的產出物
+   */
+  const scan = async () => {
+    // 每個 key 的擁有者與最後一次登記的時間
+    const references = new Map();
+    for (const record of manifest) {
+      for (const key of record.keys) {
+        const reference = references.get(key) || { owners: new Set(), owner: null, registeredAt: 0 };
+        const registeredAt = new Date(record.createdAt).getTime() || 0;
+        reference.owners.add(record.owner);
+        if (registeredAt >= reference.registeredAt) {
+          reference.owner = record.owner;
+          reference.registeredAt = registeredAt;
+        }
+        references.set(key, reference);
+      }
+    }
+
+    const artifacts = [];
+    for (const [type, directory] of Object.entries(directories)) {
+      let entries;
+      try {
+        entries = await directory.storage.listEntries(directory.prefix);
+      } catch (error) {
+        console.warn('⚠️ 無法列出產出物:', directory.prefix, error.message);
+        continue;
+      }
+
+      for (const entry of entries) {
+        const key = `${directory.prefix}/${entry.name}`;
+        const reference = references.get(key) || null;
+        artifacts.push({
+          type,
+          name: entry.name,
+          key,
+          storage: directory.storage,
+          size: entry.size,
+          modifiedAt: entry.modifiedAt,
+          // 最後一次登記的擁有者；shared 表示有多位擁有者
+          owner: reference ? reference.owner : null,
+          shared: reference ? reference.owners.size > 1 : false,
+          registeredAt: reference ? reference.registeredAt : 0,
+          ttlHours: directory.ttlHours
+        });
+      }
+    }
+
+    return artifacts;
+  };
+
+  /**
+   * 決定哪些產出物要刪除，回傳 [{ artifact, reason }]
+   */
+  const plan = (artifacts, now) => {
+    const removals = new Map();
+    const candidates = artifacts.filter(artifact => !isProtected(artifact.key));
+
+    for (const artifact of candidates) {
+      const ageMs = now - artifact.modifiedAt;
+      // 沿用的產出物從最後一次登記起算，之後發出的下載連結在保存期限內都有效
+      const referencedAgeMs = now - Math.max(artifact.modifiedAt, artifact.registeredAt);
+
+      if (!artifact.owner && ageMs > orphanGraceMinutes * 60 * 1000) {
+        removals.set(artifact.key, { artifact, reason: 'orphaned' });
+      } else if (artifact.ttlHours > 0 && referencedAgeMs > artifact.ttlHours * HOUR_MS) {
+        removals.set(artifact.key, { artifact, reason: 'expired' });
+      }
+    }
+
+    if (quotaBytes > 0) {
+      // 依擁有者加總剩餘的檔案，超過配額時從最舊的開始刪除 (共用的產出物其他人仍在使用，不計入也不刪除)
+      const byOwner = new Map();
+      for (const artifact of candidates) {
+        if (!artifact.owner || artifact.shared || removals.has(artifact.key)) {
+          continue;
+        }
+        const owned = byOwner.get(artifact.owner) || [];
+        owned.push(artifact);
+        byOwner.set(artifact.owner, owned);
+      }
+
+      for (const owned of byOwner.values()) {
+        let usedBytes = owned.reduce((sum, artifact) => sum + artifact.size, 0);
+        owned.sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+        for (const artifact of owned) {
+          if (usedBytes <= quotaBytes) {
+            break;
+          }
+          removals.set(artifact.key, { artifact, reason: 'quota' });
+          usedBytes -= artifact.size;
+        }
+      }
+    }
+
+    return Array.from(removals.values());
+  };
+
+  /**
+   * 執行一次清理，回傳清理報告
+   */
+  const execute = async (options) => {
+    const isDryRun = options.dryRun !== undefined ? options.dryRun : dryRun;
+    const startedAt = Date.now();
+    const artifacts = await scan();
+    const removals = plan(artifacts, startedAt);
+
+    const removed = [];
+    const errors = [];
+    const remaining = new Set(artifacts.map(artifact => artifact.key));
+    for (const { artifact, reason } of removals) {
+      if (!isDryRun) {
+        try {
+          await artifact.storage.remove(artifact.key);
+          remaining.delete(artifact.key);
+        } catch (error) {
+          errors.push({ type: artifact.type, name: artifact.name, error: error.message });
+          continue;
+        }
+      }
+      removed.push({
+        type: artifact.type,
+        name: artifact.name,
+        owner: artifact.owner,
+        reason,
+        bytes: artifact.size
+      });
+    }
+
+    if (!isDryRun) {
+      // 檔案都已不存在的登記紀錄一併移除 (掃描開始後才登記的紀錄保留)
+      const scannedAt = new Date(startedAt).toISOString();
+      manifest = manifest
+        .map(record => (record.createdAt >= scannedAt
+          ? record
+          : { ...record, keys: record.keys.filter(key => remaining.has(key)) }))
+        .filter(record => record.keys.length > 0);
+      persist();
+    }
+
+    const report = {
+      dryRun: isDryRun,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      scanned: artifacts.length,
+      removedCount: removed.length,
+      reclaimedBytes: removed.reduce((sum, item) => sum + item.bytes, 0),
+      removed,
+      errors
+    };
+
+    if (removed.length > 0 || errors.length > 0) {
+      console.log(`🧹 ${isDryRun ? '[dry-run] ' : ''}清理 ${removed.length} 個項目，釋放 ${(report.reclaimedBytes / 1024 / 1024).toFixed(2)} MB`);
+    }
+
+    lastReport = report;
+    return report;
+  };
+
+  /**
+   * 執行一次清理；同一時間只會有一次清理在進行
+   */
+  const run = (options = {}) => {
+    if (!running) {
+      running = Promise.resolve()
+        .then(() => execute(options))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  /**
+   * 載入登記清單並開始定期清理
+   */
+  const start = () => {
+    manifest = readJSON(manifestPath, []).map(({ paths, keys, ...record }) => ({
+      ...record,
+      keys: keys || (paths || []).map(toKey)
+    }));
+
+    run().catch(error => console.error('❌ 檔案清理失敗:', error.message));
+
+    if (intervalMinutes > 0) {
+      timer = setInterval(() => {
+        run().catch(error => console.error('❌ 檔案清理失敗:', error.message));
+      }, intervalMinutes * 60 * 1000);
+      timer.unref();
+    }
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  /**
+   * 各目錄目前的磁碟用量，沒有登記擁有者的產出物另計為 orphaned
+   */
+  const usage = async () => {
+    const result = Object.fromEntries(Object.keys(directories).map(type => [type, { count: 0, bytes: 0, orphaned: 0 }]));
+    for (const artifact of await scan()) {
+      const entry = result[artifact.type];
+      entry.count++;
+      entry.bytes += artifact.size;
+      if (!artifact.owner) {
+        entry.orphaned++;
+      }
+    }
+    return result;
+  };
+
+  /**
+   * 目前設定與最近一次的清理報告
+   */
+  const status = () => ({
+    dryRun,
+    intervalMinutes,
+    orphanGraceMinutes,
+    quotaBytes,
+    ttlHours: Object.fromEntries(Object.entries(directories).map(([type, directory]) => [type, directory.ttlHours])),
+    trackedJobs: manifest.length,
+    lastReport
+  });
+
+  return {
+    register,
+    run,
+    start,
+    stop,
+    status,
+    usage
+  };
+}
+
+module.exports = {
+  createRetentionJanitor
+};
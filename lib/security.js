@@ -0,0 +1,133 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// 會改變狀態的方法需要通過來源檢查 (CSRF)
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// LIFF SDK 從 LINE 的網域載入 (含動態載入的模組) 並呼叫 LINE API
+const LINE_SCRIPT_SOURCES = ['https://*.line-scdn.net'];
+const LINE_CONNECT_SOURCES = ['https://*.line.me', 'https://*.line-scdn.net'];
+const LINE_FRAME_SOURCES = ['https://*.line.me'];
+
+/**
+ * 將網址轉成來源 (scheme://host[:port])，格式錯誤時回傳 null
+ */
+function toOrigin(value) {
+  try {
+    return new URL(value).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 建立 CORS 來源白名單、安全性標頭與 CSRF 防護
+ *
+ * - allowedOrigins：允許跨來源呼叫 API 的來源 (例如 https://liff.line.me、前端網域)，
+ *   與伺服器相同來源的請求一律允許
+ * - 跨來源的 POST / PUT / PATCH / DELETE 只接受白名單中的來源 (以 Origin 或 Sec-Fetch-Site 判斷)，
+ *   沒有 Origin 的伺服器對伺服器請求不受影響
+ * - CSP 以每個請求的 nonce 允許頁面中的 inline script，其他 script 只允許 LINE SDK 的網域
+ * - hstsMaxAge 大於 0 時，HTTPS 請求加上 Strict-Transport-Security
+ */
+function createSecurity({ allowedOrigins = [], frameAncestors = ["'self'"], hstsMaxAge = 15552000 } = {}) {
+  const origins = new Set(allowedOrigins.map(toOrigin).filter(Boolean));
+  const frameOptions = { "'self'": 'SAMEORIGIN', "'none'": 'DENY' }[frameAncestors.join(' ')];
+
+  const getRequestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+  const isAllowedOrigin = (origin, req) => origins.has(origin) || (req && origin === getRequestOrigin(req));
+
+  /**
+   * 供 cors 套件使用的設定：只對白名單中的來源回傳 CORS 標頭
+   */
+  const corsOptions = (extra = {}) => ({
+    ...extra,
+    origin: (origin, callback) => callback(null, !origin || origins.has(origin))
+  });
+
+  /**
+   * Express 中介軟體：拒絕不在白名單中的跨來源寫入請求
+   */
+  const rejectCrossSiteRequests = (req, res, next) => {
+    if (!UNSAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const origin = req.get('origin');
+    const crossSite = origin
+      ? origin === 'null' || !isAllowedOrigin(origin, req)
+      : req.get('sec-fetch-site') === 'cross-site';
+
+    if (crossSite) {
+      console.warn('🛡️ 拒絕跨來源請求:', req.method, req.path, origin || '(no origin)');
+      return res.status(403).json({
+        success: false,
+        code: 'ORIGIN_NOT_ALLOWED',
+        error: '不允許從此來源發送請求'
+      });
+    }
+    next();
+  };
+
+  const buildContentSecurityPolicy = (nonce) => [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}' ${LINE_SCRIPT_SOURCES.join(' ')}`,
+    // 頁面使用 style 屬性切換顯示狀態
+    "style-src 'self' 'unsafe-inline'",
+    // 下載連結在 S3 儲存時會轉址到預先簽章的網址
+    "img-src 'self' data: blob: https:",
+    `connect-src 'self' ${LINE_CONNECT_SOURCES.join(' ')}`,
+    `frame-src 'self' ${LINE_FRAME_SOURCES.join(' ')}`,
+    "font-src 'self' data:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    `frame-ancestors ${frameAncestors.join(' ')}`
+  ].join('; ');
+
+  /**
+   * Express 中介軟體：加上安全性標頭，並產生本次請求的 CSP nonce (res.locals.cspNonce)
+   */
+  const securityHeaders = (req, res, next) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+
+    res.set({
+      'Content-Security-Policy': buildContentSecurityPolicy(nonce),
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+      'Cross-Origin-Opener-Policy': 'same-origin-allow-popups'
+    });
+    // 舊版瀏覽器不支援 frame-ancestors，只能表達 'self' 或 'none'
+    if (frameOptions) {
+      res.set('X-Frame-Options', frameOptions);
+    }
+    if (hstsMaxAge > 0 && req.secure) {
+      res.set('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+    }
+    next();
+  };
+
+  /**
+   * 回傳 HTML 頁面，頁面中的 <script> 加上本次請求的 nonce
+   */
+  const sendPage = (res, filePath) => {
+    const html = fs.readFileSync(filePath, 'utf8').replace(/<script(?=[\s>])/g, `<script nonce="${res.locals.cspNonce}"`);
+    res.set('Cache-Control', 'no-cache').type('html').send(html);
+  };
+
+  return {
+    corsOptions,
+    isAllowedOrigin,
+    rejectCrossSiteRequests,
+    securityHeaders,
+    sendPage,
+    allowedOrigins: () => Array.from(origins)
+  };
+}
+
+module.exports = {
+  createSecurity
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+/**
+ * 下載連結簽章
+ *
+ * 簽章後的連結格式：<path>?exp=<Unix 秒數>&n=<nonce>&sig=<hex>
+ *   - sig = HMAC-SHA256(secret, `${解碼後的 path}\n${exp}\n${nonce}`)
+ *   - exp = 0 表示永久有效
+ *   - 啟用下載次數限制時，每個連結帶有獨立的 nonce，並以 sig 為單位計算下載次數
+ */
+function createUrlSigner({ secret, expiryHours = 72, maxDownloads = 0, countStorePath }) {
+  const downloadCounts = countStorePath ? readJSON(countStorePath, {}) : {};
+
+  // 過期連結的下載次數不再需要保留
+  for (const [key, record] of Object.entries(downloadCounts)) {
+    if (record.exp > 0 && record.exp * 1000 < Date.now()) {
+      delete downloadCounts[key];
+    }
+  }
+
+  const computeSignature = (pathname, exp, nonce) => crypto
+    .createHmac('sha256', secret)
+    .update(`${pathname}\n${exp}\n${nonce}`, 'utf8')
+    .digest('hex');
+
+  /**
+   * 產生簽章後的相對路徑
+   *
+   * options.expiryHours 可覆寫預設有效時間，options.exp 可直接指定到期時間
+   */
+  const sign = (pathname, options = {}) => {
+    let exp;
+    if (options.exp !== undefined) {
+      // 沿用既有連結的到期時間 (例如資料夾清單中的個別檔案)
+      exp = options.exp;
+    } else {
+      const hours = options.expiryHours !== undefined ? options.expiryHours : expiryHours;
+      exp = hours > 0 ? Math.floor(Date.now() / 1000 + hours * 60 * 60) : 0;
+    }
+    const nonce = maxDownloads > 0 ? crypto.randomBytes(8).toString('hex') : '';
+    const sig = computeSignature(pathname, exp, nonce);
+
+    const params = new URLSearchParams({ exp: String(exp) });
+    if (nonce) {
+      params.set('n', nonce);
+    }
+    params.set('sig', sig);
+
+    const encodedPath = pathname.split('/').map(encodeURIComponent).join('/');
+    return `${encodedPath}?${params.toString()}`;
+  };
+
+  /**
+   * 驗證簽章，回傳 { valid, status, reason }
+   */
+  const verify = (pathname, query) => {
+    const { exp, sig } = query;
+    const nonce = query.n || '';
+
+    if (!exp || !sig || typeof sig !== 'string') {
+      return { valid: false, status: 403, reason: '缺少下載連結簽章' };
+    }
+
+    const expected = Buffer.from(computeSignature(pathname, exp, nonce), 'hex');
+    const received = Buffer.from(sig, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, status: 403, reason: '下載連結無效' };
+    }
+
+    const expNumber = Number(exp);
+    if (expNumber > 0 && expNumber * 1000 < Date.now()) {
+      return { valid: false, status: 410, reason: '下載連結已過期' };
+    }
+
+    return { valid: true, status: 200, reason: null, key: sig, exp: expNumber };
+  };
+
+  /**
+   * 計算下載次數，超過上限時回傳 false
+   */
+  const consumeDownload = (key, exp) => {
+    if (maxDownloads <= 0) {
+      return true;
+    }
+
+    const record = downloadCounts[key] || { count: 0, exp };
+    if (record.count >= maxDownloads) {
+      return false;
+    }
+
+    record.count++;
+    downloadCounts[key] = record;
+    try {
+      writeJSON(countStorePath, downloadCounts);
+    } catch (error) {
+      console.error('❌ 下載次數寫入失敗:', error.message);
+    }
+    return true;
+  };
+
+  /**
+   * Express 中介軟體：要求有效的簽章連結
+   *
+   * options.countDownload 為 true 時，會計入下載次數限制
+   */
+  const requireSignature = (options = {}) => (req, res, next) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(req.path);
+    } catch (error) {
+      return res.status(400).json({ error: '下載連結格式錯誤' });
+    }
+
+    const result = verify(pathname, req.query);
+    if (!result.valid) {
+      console.warn('🔒 下載連結驗證失敗:', result.reason, pathname);
+      return res.status(result.status).json({ error: result.reason });
+    }
+
+    if (options.countDownload && !consumeDownload(result.key, result.exp)) {
+      console.warn('🔒 已達下載次數上限:', pathname);
+      return res.status(410).json({ error: '已達下載次數上限' });
+    }
+
+    next();
+  };
+
+  return {
+    sign,
+    verify,
+    requireSignature
+  };
+}
+
+module.exports = {
+  createUrlSigner
+};
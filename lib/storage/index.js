@@ -0,0 +1,38 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * 轉換結果的儲存後端
+ *
+ * STORAGE_DRIVER=local (預設) 將檔案保存在伺服器磁碟；
+ * STORAGE_DRIVER=s3 將檔案上傳到 S3 相容服務，本機只保留轉換過程中的暫存檔
+ *
+ * 每個 driver 提供相同的非同步介面：
+ *   put(key, sourcePath)、exists(key)、list(prefix)、listEntries(prefix)、stat(key)、createReadStream(key)、remove(key)、getDownloadUrl(key, options)
+ */
+function createStorage({ driver = 'local', rootDir }) {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ rootDir });
+
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        keyPrefix: process.env.S3_KEY_PREFIX || '',
+        presignedDownloads: process.env.S3_PRESIGNED_DOWNLOADS !== 'false',
+        presignExpirySeconds: parseInt(process.env.S3_PRESIGN_EXPIRY_SECONDS) || 300
+      });
+
+    default:
+      throw new Error(`不支援的儲存方式: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorage
+};
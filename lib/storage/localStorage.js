@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 計算檔案或資料夾 (含子目錄) 的大小
+ */
+function getTreeSize(filePath) {
+  const stats = fs.statSync(filePath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  for (const name of fs.readdirSync(filePath)) {
+    try {
+      total += getTreeSize(path.join(filePath, name));
+    } catch (error) {
+      // 掃描途中被刪除的檔案直接略過
+    }
+  }
+  return total;
+}
+
+/**
+ * 本機磁碟儲存 (預設)
+ *
+ * key 為相對於 rootDir 的路徑，例如 pdfs/<檔名>.pdf、images/<資料夾>/<檔名>.png
+ */
+function createLocalStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * 將 key 轉為實際路徑，拒絕跳出 rootDir 的 key
+   */
+  const getLocalPath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`無效的儲存路徑: ${key}`);
+    }
+    return filePath;
+  };
+
+  const put = async (key, sourcePath) => {
+    const target = getLocalPath(key);
+    // 轉換本來就寫在儲存目錄中，不需要再複製
+    if (path.resolve(sourcePath) === target) {
+      return;
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(sourcePath, target);
+  };
+
+  const exists = async (key) => fs.existsSync(getLocalPath(key));
+
+  const list = async (prefix) => {
+    const dirPath = getLocalPath(prefix);
+    if (!fs.existsSync(dirPath)) {
+      return [];
+    }
+    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+  };
+
+  /**
+   * 列出資料夾第一層的項目 (檔案或子資料夾)，子資料夾的大小為其中所有檔案的總和
+   */
+  const listEntries = async (prefix) => {
+    const dirPath = getLocalPath(prefix);
+    if (!fs.existsSync(dirPath)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of await fs.promises.readdir(dirPath)) {
+      try {
+        const stats = await fs.promises.stat(path.join(dirPath, name));
+        entries.push({ name, size: getTreeSize(path.join(dirPath, name)), modifiedAt: stats.mtimeMs });
+      } catch (error) {
+        // 掃描途中被刪除的項目直接略過
+      }
+    }
+    return entries;
+  };
+
+  const stat = async (key) => {
+    const stats = await fs.promises.stat(getLocalPath(key));
+    return { size: stats.size };
+  };
+
+  const createReadStream = async (key) => fs.createReadStream(getLocalPath(key));
+
+  const remove = async (key) => {
+    await fs.promises.rm(getLocalPath(key), { recursive: true, force: true });
+  };
+
+  // 本機檔案由伺服器直接傳送
+  const getDownloadUrl = async () => null;
+
+  return {
+    name: 'local',
+    keepsLocalCopies: true,
+    getLocalPath,
+    put,
+    exists,
+    list,
+    listEntries,
+    stat,
+    createReadStream,
+    remove,
+    getDownloadUrl
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.tiff': 'image/tiff'
+};
+
+/**
+ * S3 相容儲存 (AWS S3、MinIO、Cloudflare R2 等)
+ *
+ * - endpoint 指向 S3 相容服務時通常需要 forcePathStyle
+ * - keyPrefix 可讓多個環境共用同一個 bucket
+ * - presignedDownloads 為 true 時，下載路由驗證完簽章後會轉址到有效期 presignExpirySeconds 秒的 presigned URL
+ */
+function createS3Storage({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  keyPrefix = '',
+  presignedDownloads = true,
+  presignExpirySeconds = 300
+}) {
+  if (!bucket) {
+    throw new Error('S3 儲存需要設定 bucket');
+  }
+
+  const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // 部分 S3 相容服務不支援新版 SDK 預設的 checksum 標頭
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    // 未提供時沿用 AWS SDK 預設的憑證來源 (環境變數、IAM Role 等)
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const toObjectKey = (key) => `${keyPrefix}${key}`;
+
+  const isNotFound = (error) => error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  const put = async (key, sourcePath) => {
+    const { size } = await fs.promises.stat(sourcePath);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
+    }));
+  };
+
+  const stat = async (key) => {
+    const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    return { size: result.ContentLength };
+  };
+
+  const exists = async (key) => {
+    try {
+      await stat(key);
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * 列出某個資料夾底下的所有物件 (含完整 key、大小與修改時間)
+   */
+  const listObjects = async (prefix) => {
+    const objectPrefix = `${toObjectKey(prefix).replace(/\/$/, '')}/`;
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const result = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: objectPrefix,
+        ContinuationToken: continuationToken
+      }));
+      objects.push(...(result.Contents || []));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return { objectPrefix, objects };
+  };
+
+  const listObjectKeys = async (prefix) => {
+    const { objectPrefix, objects } = await listObjects(prefix);
+    return { objectPrefix, keys: objects.map(object => object.Key) };
+  };
+
+  const list = async (prefix) => {
+    const { objectPrefix, keys } = await listObjectKeys(prefix);
+    return keys
+      .map(objectKey => objectKey.slice(objectPrefix.length))
+      .filter(name => name && !name.includes('/'))
+      .sort();
+  };
+
+  /**
+   * 列出資料夾第一層的項目，子資料夾 (例如頁面圖片資料夾) 合計其中所有物件的大小，修改時間取最新的物件
+   */
+  const listEntries = async (prefix) => {
+    const { objectPrefix, objects } = await listObjects(prefix);
+    const entries = new Map();
+    for (const object of objects) {
+      const name = object.Key.slice(objectPrefix.length).split('/')[0];
+      if (!name) {
+        continue;
+      }
+      const entry = entries.get(name) || { name, size: 0, modifiedAt: 0 };
+      entry.size += object.Size || 0;
+      entry.modifiedAt = Math.max(entry.modifiedAt, new Date(object.LastModified).getTime() || 0);
+      entries.set(name, entry);
+    }
+    return Array.from(entries.values());
+  };
+
+  const createReadStream = async (key) => {
+    const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    return result.Body;
+  };
+
+  /**
+   * 刪除單一物件，或整個資料夾底下的物件
+   */
+  const remove = async (key) => {
+    const { keys } = await listObjectKeys(key);
+    keys.push(toObjectKey(key));
+
+    // DeleteObjects 每次最多 1000 筆
+    for (let i = 0; i < keys.length; i += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + 1000).map(objectKey => ({ Key: objectKey })), Quiet: true }
+      }));
+    }
+  };
+
+  const getDownloadUrl = async (key, options = {}) => {
+    if (!presignedDownloads) {
+      return null;
+    }
+
+    const fileName = options.fileName || path.basename(key);
+    return getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: toObjectKey(key),
+      ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    }), { expiresIn: options.expiresIn || presignExpirySeconds });
+  };
+
+  return {
+    name: 's3',
+    keepsLocalCopies: false,
+    getLocalPath: null,
+    put,
+    exists,
+    list,
+    listEntries,
+    stat,
+    createReadStream,
+    remove,
+    getDownloadUrl
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
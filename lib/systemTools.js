@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 在 PATH 中尋找可執行檔 (不經過 shell)，找不到時回傳 null
+ *
+ * candidates 可以是指令名稱或絕對路徑，依序嘗試
+ */
+function findExecutable(candidates, searchPath = process.env.PATH || '') {
+  const directories = searchPath.split(path.delimiter).filter(Boolean);
+
+  for (const candidate of candidates) {
+    const paths = path.isAbsolute(candidate)
+      ? [candidate]
+      : directories.map(directory => path.join(directory, candidate));
+
+    for (const filePath of paths) {
+      try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        if (fs.statSync(filePath).isFile()) {
+          return filePath;
+        }
+      } catch (error) {
+        // 不存在或不可執行，繼續找下一個
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 建立系統工具偵測
+ *
+ * tools 為 { 名稱: [候選指令或路徑...] }，偵測結果會快取，
+ * 安裝或移除工具後呼叫 detect() 重新偵測
+ */
+function createSystemTools(tools) {
+  let detected = null;
+
+  const detect = () => {
+    detected = {};
+    for (const [name, candidates] of Object.entries(tools)) {
+      detected[name] = findExecutable(candidates);
+    }
+    console.log('🔍 系統工具檢查:', status());
+    return detected;
+  };
+
+  /**
+   * 工具的完整路徑，不可用時為 null
+   */
+  const get = (name) => {
+    if (!detected) {
+      detect();
+    }
+    return detected[name] || null;
+  };
+
+  const status = () => {
+    if (!detected) {
+      detect();
+    }
+    return Object.fromEntries(Object.keys(tools).map(name => [name, detected[name] ? '✅ 可用' : '❌ 不可用']));
+  };
+
+  return {
+    detect,
+    get,
+    status
+  };
+}
+
+module.exports = {
+  createSystemTools,
+  findExecutable
+};
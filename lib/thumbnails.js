@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// 縮圖放在頁面圖片資料夾底下的子資料夾，不會出現在圖片清單與 ZIP 中
+const THUMBNAIL_DIR = 'thumbs';
+
+/**
+ * 縮圖檔名：沿用頁面圖片的檔名 (含頁碼)，一律輸出 JPEG
+ * (LINE Flex Message 的圖片只支援 JPEG / PNG)
+ */
+function getThumbnailName(imageName) {
+  return `${path.parse(imageName).name}.jpg`;
+}
+
+/**
+ * 建立頁面縮圖產生器
+ *
+ * generate(imagePath) 會在圖片旁的 thumbs 資料夾產生縮圖並回傳路徑，
+ * 不會放大比 width 還小的圖片
+ */
+function createThumbnailer({ width = 320, quality = 70 } = {}) {
+  const generate = async (imagePath) => {
+    const sharp = require('sharp');
+    const thumbnailDir = path.join(path.dirname(imagePath), THUMBNAIL_DIR);
+    const thumbnailPath = path.join(thumbnailDir, getThumbnailName(path.basename(imagePath)));
+
+    await fs.promises.mkdir(thumbnailDir, { recursive: true });
+    // 透明背景的 PNG / WebP 轉成 JPEG 時補上白底
+    await sharp(imagePath)
+      .resize({ width, withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toFile(thumbnailPath);
+
+    return thumbnailPath;
+  };
+
+  return {
+    width,
+    quality,
+    generate
+  };
+}
+
+module.exports = {
+  createThumbnailer,
+  getThumbnailName,
+  THUMBNAIL_DIR
+};
@@ -0,0 +1,301 @@
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const MB = 1024 * 1024;
+
+const LIMIT_ERROR_CODES = {
+  RATE_LIMITED: 'RATE_LIMITED',
+  DAILY_QUOTA_EXCEEDED: 'DAILY_QUOTA_EXCEEDED'
+};
+
+const QUOTA_LABELS = {
+  files: '檔案數',
+  bytes: '檔案大小',
+  pages: '頁面圖片數'
+};
+
+function limitError(code, message, details = {}) {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * 等待時間的顯示文字，例如「3 分鐘」、「2 小時 5 分鐘」
+ */
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} 秒`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes} 分鐘`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 > 0 ? `${hours} 小時 ${minutes % 60} 分鐘` : `${hours} 小時`;
+}
+
+function formatQuotaValue(type, value) {
+  return type === 'bytes' ? `${Math.round(value / MB * 10) / 10}MB` : String(value);
+}
+
+/**
+ * 建立上傳頻率限制與每日額度
+ *
+ * - 頻率限制：同一個 IP 與同一位 LINE 使用者在 windowSeconds 秒內最多 ip / user 次上傳 (保存在記憶體)
+ * - 每日額度：依 timeZone 的日期計算檔案數、檔案大小與頁面圖片數，每天 00:00 重置 (保存在 storePath)
+ * - 沒有 LINE 使用者 ID 的上傳以 IP 計算每日額度
+ * - 管理員可為個別使用者設定額度 (覆寫預設值) 或設為不受限制；exemptUsers 為環境變數指定的不受限制使用者
+ * - 任一限制設為 0 表示不限制
+ * - 超過限制時拋出 status 429 的錯誤，附上 retryAfterSeconds
+ */
+function createUploadLimits({
+  storePath,
+  rateLimit = { ip: 30, user: 10, windowSeconds: 600 },
+  dailyQuota = { files: 50, bytes: 200 * MB, pages: 500 },
+  timeZone = 'Asia/Taipei',
+  exemptUsers = []
+}) {
+  const hits = new Map();
+  let day = null;
+  let usage = new Map();
+  let overrides = new Map();
+
+  const dateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const getClock = (now = new Date()) => {
+    const parts = Object.fromEntries(dateFormat.formatToParts(now).map(part => [part.type, part.value]));
+    const elapsed = Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second);
+    const secondsUntilReset = 24 * 3600 - elapsed;
+    return {
+      day: `${parts.year}-${parts.month}-${parts.day}`,
+      secondsUntilReset,
+      resetAt: new Date(now.getTime() + secondsUntilReset * 1000).toISOString()
+    };
+  };
+
+  const persist = () => {
+    try {
+      writeJSON(storePath, {
+        day,
+        usage: Object.fromEntries(usage),
+        overrides: Array.from(overrides.values())
+      });
+    } catch (error) {
+      console.error('❌ 上傳額度寫入失敗:', error.message);
+    }
+  };
+
+  // 日期改變時重置當日用量
+  const rollOver = () => {
+    const today = getClock().day;
+    if (day !== today) {
+      day = today;
+      usage = new Map();
+      persist();
+    }
+  };
+
+  const isExempt = (userId) => !!userId && (exemptUsers.includes(userId) || (overrides.has(userId) && overrides.get(userId).unlimited === true));
+
+  const getSubject = ({ userId, ip }) => (userId ? `user:${userId}` : `ip:${ip}`);
+
+  /**
+   * 使用者適用的每日額度 (管理員設定的值優先)
+   */
+  const limitsFor = (userId) => {
+    const override = userId ? overrides.get(userId) : null;
+    return Object.fromEntries(Object.keys(QUOTA_LABELS).map(type => [
+      type,
+      override && Number.isFinite(override[type]) ? override[type] : dailyQuota[type]
+    ]));
+  };
+
+  /**
+   * 檢查上傳頻率，record 為 true 時計入這次上傳
+   */
+  const assertRate = ({ userId, ip }, { record = true } = {}) => {
+    if (isExempt(userId)) {
+      return;
+    }
+
+    const now = Date.now();
+    const windowMs = rateLimit.windowSeconds * 1000;
+    const checks = [
+      { scope: 'ip', key: `ip:${ip}`, max: rateLimit.ip },
+      { scope: 'user', key: userId ? `user:${userId}` : null, max: rateLimit.user }
+    ].filter(check => check.key && check.max > 0);
+
+    // 移除已過期的記錄，避免大量不同 IP 佔用記憶體
+    if (hits.size > 1000) {
+      for (const [key, times] of hits) {
+        if (times.length === 0 || times[times.length - 1] <= now - windowMs) {
+          hits.delete(key);
+        }
+      }
+    }
+
+    for (const check of checks) {
+      const recent = (hits.get(check.key) || []).filter(time => time > now - windowMs);
+      hits.set(check.key, recent);
+      if (recent.length >= check.max) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((recent[0] + windowMs - now) / 1000));
+        throw limitError(LIMIT_ERROR_CODES.RATE_LIMITED, `上傳太頻繁，請在 ${formatWait(retryAfterSeconds)}後再試`, {
+          scope: check.scope,
+          limit: { max: check.max, windowSeconds: rateLimit.windowSeconds },
+          retryAfterSeconds
+        });
+      }
+    }
+
+    if (record) {
+      checks.forEach(check => hits.get(check.key).push(now));
+    }
+  };
+
+  /**
+   * 檢查今日額度是否足夠再上傳 files 個、共 bytes 位元組的檔案；
+   * 頁面圖片數在轉換完成後才知道，只檢查是否已用完
+   */
+  const assertQuota = ({ userId, ip }, { files = 0, bytes = 0 } = {}) => {
+    if (isExempt(userId)) {
+      return;
+    }
+
+    rollOver();
+    const limits = limitsFor(userId);
+    const used = usage.get(getSubject({ userId, ip })) || { files: 0, bytes: 0, pages: 0 };
+    const requested = { files, bytes, pages: 0 };
+
+    for (const type of Object.keys(QUOTA_LABELS)) {
+      const limit = limits[type];
+      const exceeded = type === 'pages' ? used.pages >= limit : used[type] + requested[type] > limit;
+      if (limit > 0 && exceeded) {
+        const { secondsUntilReset, resetAt } = getClock();
+        const remaining = Math.max(0, limit - used[type]);
+        throw limitError(LIMIT_ERROR_CODES.DAILY_QUOTA_EXCEEDED,
+          `已超過今日上傳額度 (${QUOTA_LABELS[type]}：剩餘 ${formatQuotaValue(type, remaining)} / 每日 ${formatQuotaValue(type, limit)})，` +
+          `額度將在 ${formatWait(secondsUntilReset)}後重置`, {
+            quota: { type, limit, used: used[type], requested: requested[type], remaining },
+            retryAfterSeconds: secondsUntilReset,
+            resetAt
+          });
+      }
+    }
+  };
+
+  /**
+   * 計入今日用量
+   */
+  const consume = ({ userId, ip }, { files = 0, bytes = 0, pages = 0 }) => {
+    rollOver();
+    const subject = getSubject({ userId, ip });
+    const used = usage.get(subject) || { files: 0, bytes: 0, pages: 0 };
+    usage.set(subject, { files: used.files + files, bytes: used.bytes + bytes, pages: used.pages + pages });
+    persist();
+  };
+
+  /**
+   * 今日用量與額度，供使用者介面顯示
+   */
+  const describe = ({ userId, ip }) => {
+    rollOver();
+    const { resetAt } = getClock();
+    const used = usage.get(getSubject({ userId, ip })) || { files: 0, bytes: 0, pages: 0 };
+    return {
+      day,
+      unlimited: isExempt(userId),
+      limits: limitsFor(userId),
+      used,
+      resetAt
+    };
+  };
+
+  /**
+   * 設定使用者的額度 (files / bytes / pages，未指定時使用預設值) 或設為不受限制
+   */
+  const setOverride = (userId, { unlimited = false, files, bytes, pages, note = null }) => {
+    const override = {
+      userId,
+      unlimited: unlimited === true,
+      ...Object.fromEntries(Object.entries({ files, bytes, pages }).filter(([, value]) => Number.isFinite(value))),
+      note,
+      updatedAt: new Date().toISOString()
+    };
+    overrides.set(userId, override);
+    persist();
+    return override;
+  };
+
+  const removeOverride = (userId) => {
+    const removed = overrides.delete(userId);
+    if (removed) {
+      persist();
+    }
+    return removed;
+  };
+
+  const listOverrides = () => Array.from(overrides.values());
+
+  /**
+   * 今日用量，依上傳大小由多到少排列
+   */
+  const listUsage = () => {
+    rollOver();
+    return Array.from(usage.entries())
+      .map(([subject, used]) => ({ subject, ...used }))
+      .sort((a, b) => b.bytes - a.bytes);
+  };
+
+  /**
+   * 載入保存的用量與管理員設定
+   */
+  const start = () => {
+    const saved = readJSON(storePath, {});
+    overrides = new Map((saved.overrides || []).map(override => [override.userId, override]));
+    day = saved.day || null;
+    usage = new Map(Object.entries(saved.usage || {}));
+    rollOver();
+    if (overrides.size > 0) {
+      console.log(`🎟️ 載入 ${overrides.size} 筆使用者額度設定`);
+    }
+  };
+
+  const stats = () => ({
+    day,
+    timeZone,
+    rateLimit,
+    dailyQuota,
+    subjects: usage.size,
+    overrides: overrides.size,
+    exemptUsers: exemptUsers.length
+  });
+
+  return {
+    assertRate,
+    assertQuota,
+    consume,
+    describe,
+    setOverride,
+    removeOverride,
+    listOverrides,
+    listUsage,
+    start,
+    stats
+  };
+}
+
+module.exports = {
+  createUploadLimits,
+  LIMIT_ERROR_CODES
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook 簽章
+ *
+ * 傳送到 N8N 等接收端的每個請求都帶有兩個標頭：
+ *   X-Webhook-Timestamp: 送出時間 (Unix 秒數)
+ *   X-Webhook-Signature: v1=<hex>
+ *
+ * 其中 <hex> = HMAC-SHA256(secret, `${timestamp}.${原始 JSON body}`)
+ *
+ * 接收端驗證步驟：
+ *   1. 取得「原始」request body 字串 (不可先 parse 再 stringify，欄位順序或空白不同就會驗證失敗)
+ *   2. 檢查 timestamp 與現在時間相差不超過容許範圍 (預設 300 秒)，防止重送攻擊
+ *   3. 以相同的共用密鑰計算 HMAC，並用固定時間比較 (timingSafeEqual) 與 v1= 後的值比對
+ *
+ * 也可以直接使用 verifySignature()，或以 `npm run verify-signature` 手動檢查收到的請求
+ */
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * 計算簽章 (hex)
+ */
+function computeSignature(body, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * 產生簽章標頭，body 必須是實際送出的 JSON 字串
+ */
+function createSignatureHeaders(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: `${SIGNATURE_VERSION}=${computeSignature(body, secret, timestamp)}`
+  };
+}
+
+/**
+ * 驗證簽章，回傳 { valid, reason }
+ */
+function verifySignature({ body, signature, timestamp, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!secret) {
+    return { valid: false, reason: 'missing_secret' };
+  }
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_headers' };
+  }
+
+  const timestampNumber = Number(timestamp);
+  if (!Number.isFinite(timestampNumber)) {
+    return { valid: false, reason: 'invalid_timestamp' };
+  }
+  if (Math.abs(now / 1000 - timestampNumber) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_out_of_range' };
+  }
+
+  const [version, value] = String(signature).split('=');
+  if (version !== SIGNATURE_VERSION || !value) {
+    return { valid: false, reason: 'unsupported_signature_version' };
+  }
+
+  const expected = Buffer.from(computeSignature(body, secret, timestamp), 'hex');
+  const received = Buffer.from(value, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  computeSignature,
+  createSignatureHeaders,
+  verifySignature
+};
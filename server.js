@@ -4,86 +4,129 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
-const { promisify } = require('util');
-const { exec } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { PDFDocument } = require('pdf-lib');
+const { requireLiffUser, isAuthRequired } = require('./lib/liffAuth');
+const { createSignatureHeaders } = require('./lib/webhookSignature');
+const { createNotificationOutbox, OUTBOX_STATUS } = require('./lib/notificationOutbox');
+const { createNotifier, EVENT_TYPES } = require('./lib/notifiers');
+const { requireAdmin } = require('./lib/adminAuth');
+const { createUrlSigner } = require('./lib/signedUrl');
+const { createRetentionJanitor } = require('./lib/retentionJanitor');
+const { createStorage } = require('./lib/storage');
+const { createFormatRegistry } = require('./lib/formats');
+const { inspectUpload, rejection, REJECTION_CODES } = require('./lib/fileInspector');
+const { createChunkedUploads, uploadError, UPLOAD_ERROR_CODES } = require('./lib/chunkedUploads');
+const { IMAGE_FORMATS, getDefaultRenderOptions, parseRenderOptions, selectPages, isImageFileName, getPageNumber } = require('./lib/renderOptions');
+const { createSystemTools } = require('./lib/systemTools');
+const { createProcessPool } = require('./lib/processPool');
+const { createPdfRenderers } = require('./lib/pdfRenderers');
+const { createConversionCache, computeCacheKey } = require('./lib/conversionCache');
+const { createConversionHistory } = require('./lib/conversionHistory');
+const { createMetrics } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { createUploadLimits, LIMIT_ERROR_CODES } = require('./lib/uploadLimits');
+const { createSecurity } = require('./lib/security');
+const { createThumbnailer, getThumbnailName, THUMBNAIL_DIR } = require('./lib/thumbnails');
+const { createJobQueue, JOB_STATUS, TERMINAL_STATUSES } = require('./lib/jobQueue');
+
+// 載入環境變數 (需在讀取任何設定之前)
+if (fs.existsSync('.env')) {
+  require('dotenv').config();
+}
+
+// 結構化日誌：正式環境預設輸出 JSON，既有的 console 輸出也經過相同的格式與個資遮蔽
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  // LOG_REDACT_FIELDS 以逗號分隔；設為空字串時不遮蔽
+  redactFields: process.env.LOG_REDACT_FIELDS !== undefined
+    ? process.env.LOG_REDACT_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+    : undefined,
+  // 健康檢查與指標抓取的請求只在 debug 等級記錄
+  quietPaths: ['/api/health', '/metrics']
+});
+logger.captureConsole();
 
 // 設定環境變數和路徑
 process.env.PATH += ':/usr/local/bin:/usr/bin:/bin';
 process.env.PATH = process.env.PATH + ":/usr/bin:/usr/local/bin";
 
-// 文件轉換相關模組
-let libreOfficeConvert;
-let pdf2pic;
-
-// 檢查系統工具是否可用
-const checkSystemTools = async () => {
-  const tools = ['gm', 'convert', 'identify', 'gs', 'libreoffice'];
-  const results = {};
-  
-  for (const tool of tools) {
-    try {
-      await new Promise((resolve, reject) => {
-        exec(`which ${tool}`, (error, stdout) => {
-          if (error) {
-            reject(error);
-          } else {
-            resolve(stdout.trim());
-          }
-        });
-      });
-      results[tool] = '✅ 可用';
-    } catch (error) {
-      results[tool] = '❌ 不可用';
-    }
-  }
-  
-  console.log('🔍 系統工具檢查:', results);
-  return results;
-};
+// 轉換用的系統工具，啟動時偵測一次並快取結果
+const systemTools = createSystemTools({
+  gm: ['gm'],
+  convert: ['convert'],
+  identify: ['identify'],
+  gs: ['gs'],
+  pdftoppm: ['pdftoppm'],
+  libreoffice: [
+    'soffice',
+    'libreoffice',
+    '/usr/lib/libreoffice/program/soffice',
+    '/opt/libreoffice/program/soffice',
+    '/Applications/LibreOffice.app/Contents/MacOS/soffice'
+  ],
+  prlimit: ['prlimit']
+});
 
 // 動態載入轉換模組
 const loadConversionModules = async () => {
-  const systemTools = await checkSystemTools();
-  
-  try {
-    libreOfficeConvert = require('libreoffice-convert');
-    libreOfficeConvert.convertAsync = promisify(libreOfficeConvert.convert);
-    console.log('✅ LibreOffice 轉換模組載入成功');
-  } catch (error) {
-    console.warn('⚠️ LibreOffice 轉換模組載入失敗:', error.message);
+  if (systemTools.get('libreoffice')) {
+    console.log('✅ LibreOffice 可用:', systemTools.get('libreoffice'));
+  } else {
+    console.warn('⚠️ 找不到 LibreOffice，無法轉換 Office 文件');
   }
 
-  try {
-    if (systemTools.gm === '❌ 不可用' && systemTools.convert === '❌ 不可用') {
-      throw new Error('GraphicsMagick 和 ImageMagick 都不可用');
-    }
-    
-    pdf2pic = require('pdf2pic');
-    console.log('✅ PDF2Pic 轉換模組載入成功');
-    
-  } catch (error) {
-    console.warn('⚠️ PDF2Pic 轉換模組載入失敗:', error.message);
+  const renderer = pdfRenderers.select();
+  if (renderer) {
+    console.log('✅ PDF 渲染後端:', renderer);
+  } else {
+    console.warn('⚠️ 沒有可用的 PDF 渲染工具，只會產生 PDF');
   }
 };
 
-// 載入環境變數
-if (fs.existsSync('.env')) {
-  require('dotenv').config();
-}
-
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// 部署在反向代理後方時 (例如 Render)，以 X-Forwarded-For 取得使用者 IP 供頻率限制使用；
+// TRUST_PROXY 可設為代理層數、true / false 或 Express 支援的 IP 清單，正式環境預設信任一層
+const trustProxy = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : 'false');
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : ({ true: true, false: false }[trustProxy] ?? trustProxy));
+
 console.log('🚀 啟動增強版伺服器 (含使用者資訊)...');
 console.log('📍 Port:', PORT);
 console.log('🌍 Environment:', process.env.NODE_ENV || 'development');
 
+// 測試與除錯 API (/api/test*、/api/debug/*) 只在開發環境啟用，ENABLE_DEBUG_API=true 可強制啟用
+const DEV_ROUTES_ENABLED = process.env.ENABLE_DEBUG_API === 'true' || (process.env.NODE_ENV || 'development') === 'development';
+
+// 允許跨來源呼叫 API 的來源 (逗號分隔)，預設為 LIFF 網域與 FRONTEND_URL；與伺服器相同來源的頁面不需設定
+const security = createSecurity({
+  allowedOrigins: process.env.CORS_ALLOWED_ORIGINS !== undefined
+    ? process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : ['https://liff.line.me', process.env.FRONTEND_URL].filter(Boolean),
+  frameAncestors: (process.env.CSP_FRAME_ANCESTORS || "'self'").split(/\s+/).filter(Boolean),
+  hstsMaxAge: getNumberEnv('HSTS_MAX_AGE_SECONDS', 180 * 24 * 60 * 60)
+});
+console.log('🛡️ CORS 允許來源:', security.allowedOrigins().join(', ') || '(僅限相同來源)');
+
+// 請求日誌與 requestId (X-Request-Id)，後續的上傳、轉換與通知日誌都會帶上同一個 ID
+app.use(logger.requestMiddleware());
+
+app.disable('x-powered-by');
+app.use(security.securityHeaders);
+
 // 基本中介軟體 - 確保正確處理 UTF-8 編碼
-app.use(cors({
-  origin: '*',
+app.use(cors(security.corsOptions({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-line-userid', 'x-line-signature']
-}));
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-line-userid', 'x-line-signature', 'Upload-Offset', 'Upload-Checksum', 'X-Request-Id'],
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'X-Request-Id', 'Retry-After']
+})));
+
+// CSRF 防護：拒絕不在白名單中的跨來源寫入請求 (瀏覽器會自動帶上管理頁面的 Basic 驗證)
+app.use(security.rejectCrossSiteRequests);
 
 // 確保正確處理 UTF-8 編碼
 app.use(express.json({ 
@@ -95,54 +138,185 @@ app.use(express.urlencoded({
   limit: '10mb'
 }));
 
-// 請求日誌
-app.use((req, res, next) => {
-  console.log(`📝 ${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
-
 // 建立必要的資料夾
 const uploadDir = path.join(__dirname, 'uploads');
 const pdfDir = path.join(__dirname, 'pdfs');
 const imageDir = path.join(__dirname, 'images');
+const dataDir = path.join(__dirname, 'data');
+const publicDir = path.join(__dirname, 'public');
 
-[uploadDir, pdfDir, imageDir].forEach(dir => {
+[uploadDir, pdfDir, imageDir, dataDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
     console.log('📁 建立資料夾:', dir);
   }
 });
 
+// 轉換結果儲存後端 (local 或 s3)
+const artifactStorage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  rootDir: __dirname
+});
+console.log('🗄️ 檔案儲存方式:', artifactStorage.name);
+
+// 下載連結簽章設定
+const downloadUrlSecret = process.env.DOWNLOAD_URL_SECRET || (() => {
+  console.warn('⚠️ DOWNLOAD_URL_SECRET 未設定，使用暫時密鑰，伺服器重啟後先前的下載連結會失效');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const urlSigner = createUrlSigner({
+  secret: downloadUrlSecret,
+  // 0 表示永久有效
+  expiryHours: process.env.DOWNLOAD_LINK_EXPIRY_HOURS !== undefined
+    ? parseFloat(process.env.DOWNLOAD_LINK_EXPIRY_HOURS) || 0
+    : 72,
+  maxDownloads: process.env.ENABLE_DOWNLOAD_COUNT_LIMIT === 'true'
+    ? parseInt(process.env.MAX_DOWNLOAD_COUNT) || 1
+    : 0,
+  countStorePath: path.join(dataDir, 'download-counts.json')
+});
+
+/**
+ * 產生完整的簽章下載連結
+ */
+function signedDownloadUrl(baseUrl, pathname, options) {
+  return `${baseUrl}${urlSigner.sign(pathname, options)}`;
+}
+
+// 支援的上傳格式與轉換步驟
+const formatRegistry = createFormatRegistry({
+  steps: {
+    libreoffice: {
+      outputExt: '.pdf',
+      isAvailable: () => !!systemTools.get('libreoffice'),
+      run: (inputPath, outputPath) => convertToPDF(inputPath, outputPath)
+    }
+  }
+});
+
 // Multer 設定
+/**
+ * 上傳檔案在 uploads 目錄中的檔名
+ */
+function createUploadName(originalName) {
+  const timestamp = Date.now();
+  // 批次上傳時同名檔案會在同一毫秒寫入，加上隨機字串避免互相覆蓋
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}-${originalName}`;
+}
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const uniqueName = `${timestamp}-${file.originalname}`;
-    cb(null, uniqueName);
+    cb(null, createUploadName(file.originalname));
+  }
+});
+
+// 單次批次上傳的檔案數量上限
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES) || 10;
+
+// 一般 (multipart) 上傳的單檔上限，較大的檔案透過分段上傳
+const MAX_UPLOAD_SIZE_MB = getNumberEnv('MAX_UPLOAD_SIZE_MB', 10);
+
+// 分段上傳：進度保存在 data 目錄，斷線或伺服器重啟後都能續傳
+const chunkedUploads = createChunkedUploads({
+  dir: path.join(dataDir, 'chunked-uploads'),
+  maxFileSize: getNumberEnv('CHUNKED_UPLOAD_MAX_SIZE_MB', 100) * 1024 * 1024,
+  chunkSize: Math.round(getNumberEnv('CHUNKED_UPLOAD_CHUNK_SIZE_MB', 2) * 1024 * 1024),
+  ttlHours: getNumberEnv('CHUNKED_UPLOAD_TTL_HOURS', 24),
+  maxOpenSessions: getNumberEnv('CHUNKED_UPLOAD_MAX_OPEN', MAX_UPLOAD_FILES)
+});
+
+// 上傳頻率限制與每日額度 (0 表示不限制)，UPLOAD_LIMIT_EXEMPT_USERS 為不受限制的 LINE 使用者 ID (逗號分隔)
+const uploadLimits = createUploadLimits({
+  storePath: path.join(dataDir, 'upload-limits.json'),
+  rateLimit: {
+    ip: getNumberEnv('UPLOAD_RATE_LIMIT_PER_IP', 30),
+    user: getNumberEnv('UPLOAD_RATE_LIMIT_PER_USER', 10),
+    windowSeconds: getNumberEnv('UPLOAD_RATE_LIMIT_WINDOW_SECONDS', 600)
+  },
+  dailyQuota: {
+    files: getNumberEnv('DAILY_QUOTA_FILES', 50),
+    bytes: getNumberEnv('DAILY_QUOTA_MB', 200) * 1024 * 1024,
+    pages: getNumberEnv('DAILY_QUOTA_PAGES', 500)
+  },
+  timeZone: process.env.QUOTA_TIME_ZONE || 'Asia/Taipei',
+  exemptUsers: (process.env.UPLOAD_LIMIT_EXEMPT_USERS || '').split(',').map(id => id.trim()).filter(Boolean)
+});
+
+// 每頁的預覽縮圖 (前端預覽與 LINE Flex Message 使用)
+const thumbnailer = createThumbnailer({
+  width: getNumberEnv('THUMBNAIL_WIDTH', 320),
+  quality: getNumberEnv('THUMBNAIL_QUALITY', 70)
+});
+
+// LibreOffice / ImageMagick 等外部轉換程式的執行池
+const converterPool = createProcessPool({
+  concurrency: getNumberEnv('CONVERTER_CONCURRENCY', 2),
+  timeoutMs: getNumberEnv('CONVERTER_TIMEOUT_SECONDS', 120) * 1000,
+  memoryLimitMb: getNumberEnv('CONVERTER_MEMORY_LIMIT_MB', 2048),
+  prlimitPath: systemTools.get('prlimit')
+});
+
+// 轉換結果快取：相同內容與設定的上傳直接沿用先前的輸出檔案
+// (沿用的檔案會重新登記給新的工作，保存期限從沿用時起算，見 runConversionJob)
+const CONVERSION_CACHE_ENABLED = process.env.CONVERSION_CACHE_ENABLED !== 'false';
+const conversionCache = createConversionCache({
+  storePath: path.join(dataDir, 'conversion-cache.json'),
+  maxEntries: getNumberEnv('CONVERSION_CACHE_MAX_ENTRIES', 500),
+  ttlHours: getNumberEnv('CONVERSION_CACHE_TTL_HOURS', 24),
+  verify: async (entry) => {
+    for (const document of entry.documents) {
+      if (!await artifactStorage.exists(`pdfs/${document.pdfFileName}`)) {
+        return false;
+      }
+      if (document.images.length > 0) {
+        const names = await artifactStorage.list(`images/${document.imageFolderName}`);
+        if (!document.images.every(image => names.includes(image.name))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+});
+
+// Prometheus 指標 (GET /metrics)，佇列與磁碟用量在抓取時讀取
+const metrics = createMetrics({
+  token: process.env.METRICS_TOKEN || null,
+  sources: {
+    queue: () => conversionQueue.stats(),
+    converterPool: () => converterPool.stats(),
+    outbox: () => notificationOutbox.stats(),
+    disk: () => retentionJanitor.usage()
   }
 });
 
+// PDF 頁面渲染後端，預設依可用的工具自動選擇 (見 lib/pdfRenderers.js)
+const pdfRenderers = createPdfRenderers({
+  systemTools,
+  processPool: converterPool,
+  preferred: process.env.PDF_RENDERER || 'auto',
+  onAttempt: (attempt) => metrics.observeRender(attempt)
+});
+
 const upload = multer({ 
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: MAX_UPLOAD_FILES
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    const allowedExts = ['.pdf', '.doc', '.docx'];
-    const fileExt = path.extname(file.originalname).toLowerCase();
+    const format = formatRegistry.resolve(file.originalname, file.mimetype);
     
-    if (allowedTypes.includes(file.mimetype) || allowedExts.includes(fileExt)) {
-      cb(null, true);
+    if (!format) {
+      cb(rejection(415, REJECTION_CODES.UNSUPPORTED_FORMAT, '不支援的檔案格式'));
+    } else if (!formatRegistry.isAvailable(format)) {
+      cb(rejection(415, REJECTION_CODES.UNSUPPORTED_FORMAT, `系統目前不支援 ${format.label} 轉換，請直接上傳 PDF 檔案`));
     } else {
-      cb(new Error('不支援的檔案格式'));
+      cb(null, true);
     }
   }
 });
@@ -150,679 +324,1875 @@ const upload = multer({
 // ============= 文件轉換功能 =============
 
 /**
- * 將 DOC/DOCX 轉換為 PDF
+ * 使用 LibreOffice 將文件轉換為 PDF
+ *
+ * 每次轉換使用獨立的暫存資料夾與設定檔，可同時執行多個 LibreOffice
  */
 async function convertToPDF(inputPath, outputPath) {
+  const sofficePath = systemTools.get('libreoffice');
+  if (!sofficePath) {
+    throw new Error('找不到 LibreOffice，無法轉換此檔案');
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'liff-convert-'));
+  const startedAt = Date.now();
   try {
     console.log('📄 開始轉換為 PDF:', path.basename(inputPath));
-    
-    if (!libreOfficeConvert) {
-      throw new Error('LibreOffice 轉換模組未載入，無法轉換 DOC/DOCX 檔案');
+
+    // 以固定檔名交給 LibreOffice (保留副檔名讓它依格式選擇匯入方式)，避免原始檔名被當成參數
+    const sourcePath = path.join(workDir, `source${path.extname(inputPath).toLowerCase()}`);
+    await fs.promises.copyFile(inputPath, sourcePath);
+
+    await converterPool.run(sofficePath, [
+      `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile'))}`,
+      '--headless',
+      '--norestore',
+      '--nolockcheck',
+      '--convert-to', 'pdf',
+      '--outdir', workDir,
+      sourcePath
+    ], { label: 'LibreOffice', cwd: workDir });
+
+    const convertedPath = path.join(workDir, 'source.pdf');
+    if (!fs.existsSync(convertedPath)) {
+      throw new Error('LibreOffice 沒有產生 PDF 檔案');
     }
+    await fs.promises.copyFile(convertedPath, outputPath);
 
-    const inputBuffer = fs.readFileSync(inputPath);
-    const pdfBuffer = await libreOfficeConvert.convertAsync(inputBuffer, '.pdf', undefined);
-    fs.writeFileSync(outputPath, pdfBuffer);
-    
+    metrics.observeLibreOffice(Date.now() - startedAt, true);
     console.log('✅ PDF 轉換完成:', path.basename(outputPath));
     return outputPath;
-    
+
   } catch (error) {
-    console.error('❌ PDF 轉換失敗:', error);
+    metrics.observeLibreOffice(Date.now() - startedAt, false);
+    console.error('❌ PDF 轉換失敗:', error.message);
     throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 取得 PDF 每頁的尺寸 (pt，已考慮頁面旋轉)，無法解析時回傳空陣列
+ */
+async function getPDFPageSizes(pdfPath) {
+  try {
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+    return pdfDoc.getPages().map(page => {
+      const { width, height } = page.getSize();
+      const rotated = page.getRotation().angle % 180 !== 0;
+      return rotated ? { width: height, height: width } : { width, height };
+    });
+  } catch (error) {
+    console.warn('⚠️ 無法取得 PDF 頁數:', error.message);
+    return [];
   }
 }
 
 /**
- * PDF 轉換為圖片
+ * 將 PDF 轉換為圖片，onPage(filePath, page, position, total) 會在每頁完成時被呼叫
+ *
+ * renderOptions 見 lib/renderOptions.js，回傳 { renderer, files: [{ path, page }] }
  */
-async function convertPDFToImages(pdfPath, outputDir) {
+async function convertPDFToImages(pdfPath, outputDir, onPage = () => {}, renderOptions = getDefaultRenderOptions()) {
   try {
     console.log('🖼️ 開始將 PDF 轉換為圖片:', path.basename(pdfPath));
-    
-    if (!pdf2pic) {
-      throw new Error('PDF2Pic 轉換模組未載入，無法轉換 PDF 為圖片');
-    }
 
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    const baseName = path.basename(pdfPath, '.pdf');
+    const pageSizes = await getPDFPageSizes(pdfPath);
+    const totalPages = pageSizes.length;
+    const pages = totalPages > 0 ? selectPages(renderOptions.pages, totalPages) : null;
+    console.log('📑 PDF 頁數:', totalPages || '未知', renderOptions.pages ? `(輸出第 ${renderOptions.pages} 頁)` : '');
+
+    if (pages && pages.length === 0) {
+      throw new Error(`指定的頁面 ${renderOptions.pages} 超出文件頁數 (共 ${totalPages} 頁)`);
+    }
+
+    const result = await pdfRenderers.render({
+      pdfPath,
+      outputDir,
+      baseName: path.basename(pdfPath, '.pdf'),
+      pages,
+      pageSizes,
+      renderOptions,
+      onPage
+    });
+
+    console.log('✅ 圖片轉換完成:', result.files.length, '張圖片', `(${result.renderer})`);
+    return result;
     
-    const configs = [
-      {
-        density: parseInt(process.env.PDF_CONVERT_DENSITY) || 200,
-        saveFilename: `${baseName}.%d`,
-        savePath: outputDir,
-        format: process.env.IMAGE_OUTPUT_FORMAT || "png",
-        width: parseInt(process.env.IMAGE_OUTPUT_WIDTH) || 1200,
-        height: parseInt(process.env.IMAGE_OUTPUT_HEIGHT) || 1600,
-        convert: "convert"
-      },
-      {
-        density: parseInt(process.env.PDF_CONVERT_DENSITY) || 150,
-        saveFilename: `${baseName}.%d`,
-        savePath: outputDir,
-        format: "png",
-        width: 1000,
-        height: 1400,
-        convert: "gm"
-      }
-    ];
+  } catch (error) {
+    console.error('❌ 圖片轉換失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 依序合併多個 PDF
+ */
+async function mergePDFs(pdfPaths, outputPath) {
+  const merged = await PDFDocument.create();
+
+  for (const pdfPath of pdfPaths) {
+    const source = await PDFDocument.load(fs.readFileSync(pdfPath), { ignoreEncryption: true });
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  fs.writeFileSync(outputPath, await merged.save());
+  console.log(`📚 已合併 ${pdfPaths.length} 個 PDF，共 ${merged.getPageCount()} 頁`);
+}
+
+/**
+ * 產生頁面縮圖並存入儲存後端，回傳縮圖檔名；失敗時只記錄警告並回傳 null (預覽改用原圖)
+ */
+async function storeThumbnail(imagePath, imageFolderName) {
+  try {
+    const thumbnailPath = await thumbnailer.generate(imagePath);
+    const thumbnailName = path.basename(thumbnailPath);
+    await artifactStorage.put(`images/${imageFolderName}/${THUMBNAIL_DIR}/${thumbnailName}`, thumbnailPath);
+    return thumbnailName;
+  } catch (error) {
+    console.warn('⚠️ 縮圖產生失敗:', path.basename(imagePath), error.message);
+    return null;
+  }
+}
+
+function getThumbnailUrl(baseUrl, imageFolderName, thumbnailName) {
+  return thumbnailName
+    ? signedDownloadUrl(baseUrl, `/api/download/images/${imageFolderName}/${THUMBNAIL_DIR}/${thumbnailName}`)
+    : null;
+}
+
+/**
+ * 將單一 PDF 渲染為頁面圖片並存入儲存後端，回傳該文件的輸出檔案資訊 (見 describeDocument)
+ */
+async function renderDocument(document, { baseUrl, renderOptions, onStage, onPage }) {
+  const { pdfPath, imageOutputDir } = document;
+  const imageFolderName = path.basename(imageOutputDir);
+  let imageFiles = [];
+  let renderer = null;
+  // 成功產生縮圖的頁面圖片檔名 → 縮圖檔名
+  const thumbnails = new Map();
+
+  if (pdfRenderers.select()) {
+    onStage(JOB_STATUS.RENDERING_PAGES);
+    // 每頁依序存入儲存後端，存好後才回報進度，讓前端拿到的連結可以立即下載
+    let pageUploads = Promise.resolve();
+    try {
+      ({ renderer, files: imageFiles } = await convertPDFToImages(pdfPath, imageOutputDir, (filePath, page, position, totalPages) => {
+        const name = path.basename(filePath);
+        pageUploads = pageUploads
+          .then(() => artifactStorage.put(`images/${imageFolderName}/${name}`, filePath))
+          .then(() => storeThumbnail(filePath, imageFolderName))
+          .then((thumbnailName) => {
+            thumbnails.set(name, thumbnailName);
+            onPage({
+              page,
+              position,
+              totalPages,
+              name,
+              imageUrl: signedDownloadUrl(baseUrl, `/api/download/images/${imageFolderName}/${name}`),
+              thumbnailUrl: getThumbnailUrl(baseUrl, imageFolderName, thumbnailName)
+            });
+          });
+        pageUploads.catch(() => {});
+      }, renderOptions));
+      await pageUploads;
+      metrics.countPages(renderer, renderOptions.format, imageFiles.length);
+    } catch (imageError) {
+      console.warn('⚠️ 圖片轉換失敗，但 PDF 轉換成功:', imageError.message);
+      imageFiles = [];
+      renderer = null;
+    }
+  }
+
+  const pdfFileName = path.basename(pdfPath);
+  const pdfSize = fs.statSync(pdfPath).size;
+  await artifactStorage.put(`pdfs/${pdfFileName}`, pdfPath);
+
+  // 遠端儲存時，本機只是暫存檔
+  if (!artifactStorage.keepsLocalCopies) {
+    fs.rmSync(pdfPath, { force: true });
+    fs.rmSync(imageOutputDir, { recursive: true, force: true });
+  }
+
+  return {
+    name: document.name,
+    sourceFiles: document.sourceFiles,
+    pdfFileName,
+    pdfSize,
+    imageFolderName,
+    renderer,
+    images: imageFiles.map(imageFile => ({
+      name: path.basename(imageFile.path),
+      page: imageFile.page,
+      thumbnailName: thumbnails.get(path.basename(imageFile.path)) || null
+    }))
+  };
+}
+
+/**
+ * 依輸出檔案資訊產生文件的下載結果 (每次都會簽出新的下載連結)
+ */
+function describeDocument(baseUrl, artifacts) {
+  const { pdfFileName, imageFolderName, images } = artifacts;
+
+  return {
+    sourceFiles: artifacts.sourceFiles,
+    pdfFile: {
+      name: artifacts.name,
+      downloadUrl: signedDownloadUrl(baseUrl, `/api/download/pdf/${pdfFileName}`),
+      size: artifacts.pdfSize
+    },
+    imageFiles: {
+      count: images.length,
+      // 實際使用的渲染後端 (見 lib/pdfRenderers.js)
+      renderer: artifacts.renderer,
+      downloadUrl: images.length > 0 ? signedDownloadUrl(baseUrl, `/api/download/images/${imageFolderName}`) : null,
+      zipDownloadUrl: images.length > 0 ? signedDownloadUrl(baseUrl, `/api/download/images/${imageFolderName}/zip`) : null,
+      files: images.map(image => ({
+        name: image.name,
+        page: image.page,
+        downloadUrl: signedDownloadUrl(baseUrl, `/api/download/images/${imageFolderName}/${image.name}`),
+        thumbnailUrl: getThumbnailUrl(baseUrl, imageFolderName, image.thumbnailName)
+      }))
+    }
+  };
+}
+
+/**
+ * 依每份文件的輸出檔案資訊產生轉換結果，pdfFile / imageFiles 沿用第一份文件，相容單檔上傳的格式
+ */
+function buildConversionResult(baseUrl, artifacts, { merge, renderOptions, cached }) {
+  const results = artifacts.map(document => describeDocument(baseUrl, document));
+  return {
+    pdfFile: results[0].pdfFile,
+    imageFiles: results[0].imageFiles,
+    documents: results,
+    merged: merge,
+    renderOptions,
+    // 渲染頁面圖片使用的後端，沒有產生圖片時為 null
+    renderer: results.map(result => result.imageFiles.renderer).find(Boolean) || null,
+    // 內容與輸出設定都與先前的轉換相同時，直接沿用先前的輸出檔案
+    cached,
+    processTime: new Date().toISOString()
+  };
+}
+
+/**
+ * 處理檔案轉換流程
+ *
+ * files 依上傳順序排列；options.merge 為 true 且有多個檔案時，合併成單一 PDF 後再渲染頁面圖片，
+ * options.renderOptions 為頁面圖片的輸出設定 (見 lib/renderOptions.js)，options.bypassCache 為 true 時不使用快取結果
+ *
+ * hooks.onStage(stage) 會在進入各轉換階段時被呼叫，
+ * hooks.onPage({ document, documentCount, page, position, totalPages, name, imageUrl, thumbnailUrl }) 會在每頁圖片產生後被呼叫
+ * (page 為頁碼，position 為在輸出頁面中的順序)，
+ * hooks.onOutputs(paths) 會在開始寫入輸出檔案前被呼叫，
+ * hooks.onArtifacts(artifacts) 會在完成時以每份文件的輸出檔案資訊 (見 renderDocument) 被呼叫
+ *
+ * 回傳的結果見 buildConversionResult；
+ * 檔案內容與設定都與快取中的轉換相同時不會重新轉換 (cached 為 true，不會呼叫 onPage / onOutputs)
+ */
+async function processFileConversion(files, options = {}, hooks = {}) {
+  const onStage = hooks.onStage || (() => {});
+  const onPage = hooks.onPage || (() => {});
+  const onOutputs = hooks.onOutputs || (() => {});
+  const onArtifacts = hooks.onArtifacts || (() => {});
+
+  try {
+    const timestamp = Date.now();
+    const isBatch = files.length > 1;
+    const merge = options.merge === true && isBatch;
+    const renderOptions = options.renderOptions || getDefaultRenderOptions();
+
+    // 同一批次可能有同名檔案，以序號區分輸出檔名
+    const sources = files.map((file, index) => {
+      const originalName = path.parse(file.originalname).name;
+      const baseName = isBatch ? `${timestamp}-${index + 1}-${originalName}` : `${timestamp}-${originalName}`;
+      return {
+        file,
+        originalName,
+        pdfPath: path.join(pdfDir, `${baseName}.pdf`),
+        imageOutputDir: path.join(imageDir, baseName)
+      };
+    });
+
+    let documents;
+    if (merge) {
+      const baseName = `${timestamp}-${sources[0].originalName}-合併`;
+      documents = [{
+        name: `${sources[0].originalName}-合併.pdf`,
+        sourceFiles: files.map(file => file.originalname),
+        pdfPath: path.join(pdfDir, `${baseName}.pdf`),
+        imageOutputDir: path.join(imageDir, baseName)
+      }];
+    } else {
+      documents = sources.map(source => ({
+        name: `${source.originalName}.pdf`,
+        sourceFiles: [source.file.originalname],
+        pdfPath: source.pdfPath,
+        imageOutputDir: source.imageOutputDir
+      }));
+    }
 
-    let results = null;
-    let lastError = null;
+    const baseUrl = process.env.FRONTEND_URL || `http://localhost:${PORT}`;
+    const buildResult = (artifacts, cached) => buildConversionResult(baseUrl, artifacts, { merge, renderOptions, cached });
+
+    // bypassCache 時一律重新轉換 (管理員重新執行)，結果仍會更新快取
+    const cacheKey = CONVERSION_CACHE_ENABLED ? await computeCacheKey(files, { merge, renderOptions }) : null;
+    const cachedEntry = cacheKey && !options.bypassCache ? await conversionCache.lookup(cacheKey) : null;
+    if (cachedEntry) {
+      console.log('♻️ 內容與先前的轉換相同，沿用快取結果:', cacheKey.slice(0, 12));
+      // 輸出檔案沿用先前的結果，文件名稱與來源檔名依這次上傳顯示
+      const cachedArtifacts = cachedEntry.documents.map((artifacts, index) => ({
+        ...artifacts,
+        name: documents[index].name,
+        sourceFiles: documents[index].sourceFiles
+      }));
+      onArtifacts(cachedArtifacts);
+      return buildResult(cachedArtifacts, true);
+    }
+
+    onOutputs([
+      ...sources.map(source => source.pdfPath),
+      ...documents.flatMap(document => [document.pdfPath, document.imageOutputDir])
+    ]);
+
+    onStage(JOB_STATUS.CONVERTING_PDF);
 
-    for (let i = 0; i < configs.length; i++) {
+    for (const source of sources) {
+      const format = formatRegistry.resolve(source.file.originalname, source.file.mimetype);
       try {
-        console.log(`🔄 嘗試轉換配置 ${i + 1}...`);
-        const convert = pdf2pic.fromPath(pdfPath, configs[i]);
-        results = await convert.bulk(-1, { responseType: "image" });
-        
-        if (results && results.length > 0) {
-          console.log(`✅ 配置 ${i + 1} 轉換成功!`);
-          break;
+        if (!format) {
+          throw new Error('不支援的檔案格式');
         }
+        await formatRegistry.convertToPDF(format, source.file.path, source.pdfPath);
       } catch (error) {
-        console.warn(`⚠️ 配置 ${i + 1} 轉換失敗:`, error.message);
-        lastError = error;
-        continue;
+        // 批次轉換時指出是哪個檔案失敗
+        if (isBatch) {
+          error.message = `${source.file.originalname}: ${error.message}`;
+        }
+        throw error;
       }
+      console.log(format.chain.length === 0
+        ? `📄 ${source.file.originalname} 已是 PDF 格式，複製到 PDF 目錄`
+        : `✅ ${source.file.originalname} 已轉換為 PDF (${format.label})`);
     }
 
-    if (!results || results.length === 0) {
+    if (merge) {
       try {
-        console.log('🔄 嘗試使用系統命令轉換...');
-        return await convertPDFUsingSystemCommand(pdfPath, outputDir);
-      } catch (fallbackError) {
-        throw lastError || fallbackError;
+        await mergePDFs(sources.map(source => source.pdfPath), documents[0].pdfPath);
+      } finally {
+        sources.forEach(source => fs.rmSync(source.pdfPath, { force: true }));
       }
     }
 
-    const imageFiles = [];
-    for (const result of results) {
-      if (fs.existsSync(result.path)) {
-        imageFiles.push(result.path);
-        console.log('✅ 確認檔案存在:', path.basename(result.path));
-      }
+    const artifacts = [];
+    for (const [index, document] of documents.entries()) {
+      artifacts.push(await renderDocument(document, {
+        baseUrl,
+        renderOptions,
+        onStage,
+        onPage: (pageInfo) => onPage({ document: index + 1, documentCount: documents.length, ...pageInfo })
+      }));
     }
 
-    if (imageFiles.length === 0) {
-      throw new Error('轉換完成但沒有生成有效的圖片檔案');
+    // 頁面圖片產生失敗的結果不快取，下次上傳時重新轉換
+    if (cacheKey && (artifacts.every(document => document.images.length > 0) || !pdfRenderers.select())) {
+      conversionCache.store(cacheKey, artifacts);
     }
 
-    console.log('✅ 圖片轉換完成:', imageFiles.length, '張圖片');
-    return imageFiles;
-    
+    onArtifacts(artifacts);
+    return buildResult(artifacts, false);
+
   } catch (error) {
-    console.error('❌ 圖片轉換失敗:', error);
+    console.error('❌ 檔案轉換流程失敗:', error);
     throw error;
   }
 }
 
+// ============= 通知功能 =============
+
 /**
- * 使用系統命令轉換 PDF 為圖片
+ * 產生 N8N Webhook 簽章標頭，未設定 N8N_WEBHOOK_SECRET 時不簽章
  */
-async function convertPDFUsingSystemCommand(pdfPath, outputDir) {
-  return new Promise((resolve, reject) => {
-    const baseName = path.basename(pdfPath, '.pdf');
-    const outputPattern = path.join(outputDir, `${baseName}-%d.png`);
-    const convertCmd = `convert -density 200 -quality 85 "${pdfPath}" "${outputPattern}"`;
-    
-    console.log('🔧 執行系統命令:', convertCmd);
-    
-    exec(convertCmd, (error, stdout, stderr) => {
-      if (error) {
-        reject(error);
-        return;
-      }
-      
-      try {
-        const files = fs.readdirSync(outputDir);
-        let imageFiles = files
-          .filter(f => f.startsWith(baseName) && (f.endsWith('.png') || f.endsWith('.jpg')))
-          .map(f => path.join(outputDir, f))
-          .sort();
-        
-        if (imageFiles.length === 0) {
-          imageFiles = files
-            .filter(f => f.endsWith('.png') || f.endsWith('.jpg'))
-            .map(f => path.join(outputDir, f))
-            .sort();
-        }
-        
-        const validImageFiles = [];
-        for (const filePath of imageFiles) {
-          try {
-            const stats = fs.statSync(filePath);
-            if (stats.size > 100) {
-              validImageFiles.push(filePath);
-              console.log('✅ 有效圖片檔案:', path.basename(filePath), `(${(stats.size/1024).toFixed(1)}KB)`);
-            }
-          } catch (statError) {
-            console.warn('⚠️ 無法讀取檔案狀態:', path.basename(filePath));
-          }
-        }
-        
-        if (validImageFiles.length === 0) {
-          reject(new Error('系統命令沒有生成任何有效的圖片檔案'));
-          return;
-        }
-        
-        resolve(validImageFiles);
-        
-      } catch (fsError) {
-        reject(fsError);
-      }
-    });
+function getWebhookSignatureHeaders(requestBody) {
+  const secret = process.env.N8N_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn('⚠️ N8N_WEBHOOK_SECRET 未設定，Webhook 請求不會簽章');
+    return {};
+  }
+  return createSignatureHeaders(requestBody, secret);
+}
+
+/**
+ * 送出寄件匣中的通知，並記錄耗時與結果
+ */
+async function deliverNotification(entry) {
+  const { requestId, jobId } = entry.meta || {};
+  const startedAt = Date.now();
+  const report = (success) => metrics.observeNotification({ target: entry.target, type: entry.type, success, durationMs: Date.now() - startedAt });
+  // 重試時沿用原本請求與工作的日誌 ID
+  return logger.runWithContext({ requestId: requestId || undefined, jobId: jobId || undefined }, async () => {
+    try {
+      const response = await notifier.deliver(entry);
+      report(true);
+      return response;
+    } catch (error) {
+      report(false);
+      throw error;
+    }
   });
 }
 
+const notificationOutbox = createNotificationOutbox({
+  storePath: path.join(dataDir, 'outbox.json'),
+  deliver: deliverNotification,
+  maxAttempts: (parseInt(process.env.N8N_RETRY_COUNT) || 5) + 1,
+  baseDelayMs: parseInt(process.env.N8N_RETRY_BASE_DELAY) || 30 * 1000,
+  maxDelayMs: parseInt(process.env.N8N_RETRY_MAX_DELAY) || 60 * 60 * 1000,
+  // 重試結果同步更新對應的轉換工作
+  onDelivered: (entry) => refreshJobNotification(entry),
+  onDead: (entry) => refreshJobNotification(entry)
+});
+
+const notifier = createNotifier({
+  configPath: path.resolve(__dirname, process.env.NOTIFIERS_CONFIG || 'notifiers.json'),
+  outbox: notificationOutbox
+});
+
 /**
- * 處理檔案轉換流程
+ * 彙整各通知目標的送出結果
+ */
+function summarizeDeliveries(deliveries) {
+  const failed = deliveries.filter(delivery => !delivery.success);
+  const withReplyToken = deliveries.find(delivery => delivery.replyToken);
+  const withLinks = deliveries.find(delivery => delivery.downloadLinks);
+
+  return {
+    sent: deliveries.length > 0 && failed.length === 0,
+    replyToken: withReplyToken ? withReplyToken.replyToken : null,
+    error: failed.length > 0 ? failed.map(delivery => `${delivery.target}: ${delivery.error}`).join('; ') : null,
+    retryScheduled: deliveries.some(delivery => delivery.retryScheduled),
+    downloadLinks: withLinks ? withLinks.downloadLinks : null,
+    targets: deliveries.map(({ downloadLinks, ...delivery }) => delivery)
+  };
+}
+
+/**
+ * 寄件匣重試成功或放棄時，更新轉換工作中對應目標的通知狀態
+ */
+function refreshJobNotification(entry) {
+  const jobId = entry.meta && entry.meta.jobId;
+  const job = jobId && conversionQueue.get(jobId);
+  if (!job || !job.notification || !job.notification.targets) {
+    return;
+  }
+
+  const targets = job.notification.targets.map(delivery => {
+    if (delivery.outboxId !== entry.id) {
+      return delivery;
+    }
+    const success = entry.status === OUTBOX_STATUS.DELIVERED;
+    return { ...delivery, success, error: success ? null : entry.lastError, retryScheduled: entry.status === OUTBOX_STATUS.PENDING };
+  });
+
+  conversionQueue.update(jobId, {
+    notification: { ...job.notification, ...summarizeDeliveries(targets), downloadLinks: job.notification.downloadLinks }
+  });
+}
+
+// ============= 非同步轉換工作 =============
+
+/**
+ * 執行單一轉換工作：轉換檔案、通知 N8N、清理原始檔案
  */
-async function processFileConversion(originalFile) {
+async function runConversionJob(job, { setStatus, progress }) {
+  const { userInfo, fileInfo } = job;
+  // 舊版工作只有單一 file 欄位
+  const files = job.files || [job.file];
+  const renderedPages = new Map();
+  const documentPageCounts = new Map();
+  const outputs = [];
+  let artifacts = [];
+
+  console.log('🔄 開始檔案轉換:', files.map(file => file.originalname).join(', '));
+
+  let conversionResult;
   try {
-    const timestamp = Date.now();
-    const originalName = path.parse(originalFile.originalname).name;
-    const originalExt = path.extname(originalFile.originalname).toLowerCase();
-    
-    let pdfPath = path.join(pdfDir, `${timestamp}-${originalName}.pdf`);
-    
-    if (originalExt === '.pdf') {
-      fs.copyFileSync(originalFile.path, pdfPath);
-      console.log('📄 檔案已是 PDF 格式，複製到 PDF 目錄');
-    } else {
-      if (!libreOfficeConvert) {
-        throw new Error('系統不支援 DOC/DOCX 轉換功能，請直接上傳 PDF 檔案');
+    conversionResult = await processFileConversion(files, {
+      merge: job.merge === true,
+      renderOptions: job.renderOptions,
+      bypassCache: job.bypassCache === true
+    }, {
+      onStage: (stage) => setStatus(stage),
+      onOutputs: (paths) => {
+        outputs.push(...paths);
+        paths.forEach(outputPath => activeOutputs.add(path.resolve(outputPath)));
+      },
+      onArtifacts: (documents) => {
+        artifacts = documents;
+      },
+      onPage: (pageInfo) => {
+        renderedPages.set(`${pageInfo.document}:${pageInfo.page}`, pageInfo);
+        documentPageCounts.set(pageInfo.document, pageInfo.totalPages);
+        setStatus(JOB_STATUS.RENDERING_PAGES, {
+          progress: {
+            completedPages: renderedPages.size,
+            // 尚未開始渲染的文件頁數未知，總頁數只計入已知的部分
+            totalPages: Array.from(documentPageCounts.values()).reduce((sum, count) => sum + count, 0),
+            pages: Array.from(renderedPages.values())
+          }
+        });
+        progress({ type: 'page', ...pageInfo });
       }
-      await convertToPDF(originalFile.path, pdfPath);
+    });
+  } catch (error) {
+    // 通知有訂閱失敗事件的目標；通知本身失敗時只記錄，原本的錯誤仍交給佇列標記為失敗
+    try {
+      await notifier.notify({
+        type: EVENT_TYPES.FAILED,
+        jobId: job.id,
+        requestId: job.requestId,
+        userInfo,
+        fileInfo,
+        error: error.message
+      });
+    } catch (notifyError) {
+      console.error('❌ 轉換失敗通知發送失敗:', job.id, notifyError.message);
     }
+    // 沒有登記的部分輸出檔案會由清理程式視為孤兒檔案清除
+    throw error;
+  } finally {
+    outputs.forEach(outputPath => activeOutputs.delete(path.resolve(outputPath)));
+  }
 
-    const imageOutputDir = path.join(imageDir, `${timestamp}-${originalName}`);
-    let imageFiles = [];
-    
-    if (pdf2pic) {
+  // 快取沿用的輸出檔案也登記給這次的工作，保存期限從這次登記起算，這次發出的下載連結到期前不會被清除
+  const reusedOutputs = conversionResult.cached
+    ? artifacts.flatMap(document => [path.join(pdfDir, document.pdfFileName), path.join(imageDir, document.imageFolderName)])
+    : [];
+  const keepOriginal = process.env.KEEP_ORIGINAL_FILES === 'true';
+  retentionJanitor.register({
+    jobId: job.id,
+    owner: userInfo.liffUserId || userInfo.email,
+    paths: [...outputs, ...reusedOutputs, ...(keepOriginal ? files.map(file => file.path) : [])]
+  });
+
+  // 實際渲染的頁面圖片計入每日額度 (使用快取的結果不計入)
+  if (job.limitSubject && !conversionResult.cached) {
+    uploadLimits.consume(job.limitSubject, {
+      pages: conversionResult.documents.reduce((sum, document) => sum + document.imageFiles.count, 0)
+    });
+  }
+
+  // 發送轉換完成通知到所有目標
+  setStatus(JOB_STATUS.NOTIFYING, { conversionResult });
+  console.log('💬 發送轉換完成通知...');
+  const deliveries = await notifier.notify({
+    type: EVENT_TYPES.SUCCEEDED,
+    jobId: job.id,
+    requestId: job.requestId,
+    userInfo,
+    fileInfo,
+    conversionResult
+  });
+  const notification = summarizeDeliveries(deliveries);
+
+  // 清理原始上傳檔案
+  if (!keepOriginal) {
+    for (const file of files) {
       try {
-        imageFiles = await convertPDFToImages(pdfPath, imageOutputDir);
-      } catch (imageError) {
-        console.warn('⚠️ 圖片轉換失敗，但 PDF 轉換成功:', imageError.message);
+        fs.unlinkSync(file.path);
+        console.log('🗑️ 已清理原始上傳檔案:', file.originalname);
+      } catch (cleanupError) {
+        console.warn('⚠️ 清理原始檔案失敗:', cleanupError.message);
       }
     }
+  }
 
-    const baseUrl = process.env.FRONTEND_URL || `http://localhost:${PORT}`;
-    const pdfFileName = path.basename(pdfPath);
-    const imageFolderName = path.basename(imageOutputDir);
-    
-    const result = {
-      pdfFile: {
-        name: `${originalName}.pdf`,
-        downloadUrl: `${baseUrl}/api/download/pdf/${pdfFileName}`,
-        size: fs.statSync(pdfPath).size
-      },
-      imageFiles: {
-        count: imageFiles.length,
-        downloadUrl: imageFiles.length > 0 ? `${baseUrl}/api/download/images/${imageFolderName}` : null,
-        zipDownloadUrl: imageFiles.length > 0 ? `${baseUrl}/api/download/images/${imageFolderName}/zip` : null,
-        files: imageFiles.map((filePath, index) => ({
-          name: path.basename(filePath),
-          page: index + 1,
-          downloadUrl: `${baseUrl}/api/download/images/${imageFolderName}/${path.basename(filePath)}`
-        }))
-      },
-      processTime: new Date().toISOString()
-    };
+  logger.info('🏁 增強版轉換流程完成 (UTF-8)', {
+    userName: userInfo.name,
+    fileName: fileInfo.fileName,
+    pdfFiles: conversionResult.documents.map(document => document.pdfFile.name),
+    imageCount: conversionResult.documents.reduce((sum, document) => sum + document.imageFiles.count, 0),
+    notified: notification.sent,
+    replyToken: notification.replyToken
+  });
+
+  // artifacts 供轉換紀錄重新產生下載連結，不在工作狀態 API 中回傳
+  return {
+    conversionResult,
+    notification,
+    artifacts
+  };
+}
+
+/**
+ * 轉換工作狀態的對外回應格式
+ *
+ * 工作狀態 API 不需登入，因此不回傳提交者的姓名、Email、電話等聯絡資料
+ */
+function formatJobStatus(job) {
+  const conversionResult = job.conversionResult || null;
+  const notification = job.notification || null;
+
+  return {
+    success: job.status !== JOB_STATUS.FAILED,
+    jobId: job.id,
+    status: job.status,
+    fileName: job.fileInfo.fileName,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null,
+    error: job.error || null,
+    progress: job.progress || null,
+    n8nNotified: notification ? notification.sent : false,
+    lineMessage: notification ? {
+      sent: notification.sent,
+      replyToken: notification.replyToken,
+      error: notification.error,
+      retryScheduled: notification.retryScheduled === true
+    } : null,
+    notifications: notification ? notification.targets : [],
+    conversions: conversionResult ? {
+      pdfGenerated: true,
+      imagesGenerated: conversionResult.imageFiles.count > 0,
+      pdfUrl: conversionResult.pdfFile.downloadUrl,
+      imageZipUrl: conversionResult.imageFiles.zipDownloadUrl
+    } : null,
+    conversionResult,
+    downloadLinks: notification ? notification.downloadLinks : null
+  };
+}
+
+/**
+ * 讀取數值環境變數，允許設定為 0
+ */
+function getNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// 正在轉換中的輸出檔案，清理程式不會刪除
+const activeOutputs = new Set();
+
+// 上傳的原始檔案一律在本機，PDF 與頁面圖片透過目前的儲存後端清理 (S3 儲存時清理遠端物件)
+const localFiles = createStorage({ driver: 'local', rootDir: __dirname });
+const retentionDirectories = {
+  uploads: { storage: localFiles, prefix: 'uploads', ttlHours: getNumberEnv('RETENTION_UPLOAD_TTL_HOURS', 24) },
+  pdfs: { storage: artifactStorage, prefix: 'pdfs', ttlHours: getNumberEnv('RETENTION_PDF_TTL_HOURS', 72) },
+  images: { storage: artifactStorage, prefix: 'images', ttlHours: getNumberEnv('RETENTION_IMAGE_TTL_HOURS', 72) }
+};
+if (!artifactStorage.keepsLocalCopies) {
+  // 遠端儲存時，本機只有轉換中的暫存檔；轉換失敗留下的暫存檔視為孤兒檔案清除
+  retentionDirectories.localPdfs = { storage: localFiles, prefix: 'pdfs', ttlHours: retentionDirectories.pdfs.ttlHours };
+  retentionDirectories.localImages = { storage: localFiles, prefix: 'images', ttlHours: retentionDirectories.images.ttlHours };
+}
+
+const retentionJanitor = createRetentionJanitor({
+  directories: retentionDirectories,
+  rootDir: __dirname,
+  manifestPath: path.join(dataDir, 'artifacts.json'),
+  quotaBytes: getNumberEnv('RETENTION_USER_QUOTA_MB', 0) * 1024 * 1024,
+  orphanGraceMinutes: getNumberEnv('RETENTION_ORPHAN_GRACE_MINUTES', 60),
+  intervalMinutes: getNumberEnv('RETENTION_INTERVAL_MINUTES', 60),
+  dryRun: process.env.RETENTION_DRY_RUN === 'true',
+  // 佇列中工作的上傳檔案與轉換中的輸出一律保留
+  isProtected: (key) => {
+    const artifactPath = path.resolve(__dirname, key);
+    return activeOutputs.has(artifactPath) || conversionQueue.list().some(job =>
+      !TERMINAL_STATUSES.includes(job.status) &&
+      (job.files || [job.file]).some(file => file && path.resolve(file.path) === artifactPath)
+    );
+  }
+});
+
+const conversionQueue = createJobQueue({
+  storePath: path.join(dataDir, 'jobs.json'),
+  concurrency: parseInt(process.env.MAX_CONCURRENT_CONVERSIONS) || 2,
+  retentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24,
+  // 工作中的日誌帶上建立工作的請求 ID 與工作 ID
+  handler: (job, context) => logger.runWithContext({ requestId: job.requestId, jobId: job.id }, () =>
+    metrics.timeJob(() => runConversionJob(job, context))
+  )
+});
+
+// 使用者的轉換紀錄 (「我的檔案」)，隨工作狀態更新
+const conversionHistory = createConversionHistory({
+  storePath: path.join(dataDir, 'conversion-history.json'),
+  retentionDays: getNumberEnv('CONVERSION_HISTORY_RETENTION_DAYS', 30),
+  maxEntriesPerUser: getNumberEnv('CONVERSION_HISTORY_MAX_PER_USER', 200)
+});
+conversionQueue.events.on('update', job => conversionHistory.record(job));
+
+// ===== API 路由 =====
+
+// 健康檢查
+app.get('/api/health', async (req, res) => {
+  console.log('❤️ 健康檢查');
+  
+  res.json({ 
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    port: PORT,
+    version: 'enhanced-with-user-info-utf8-fixed',
+    directories: {
+      upload: uploadDir,
+      pdf: pdfDir,
+      images: imageDir
+    },
+    modules: {
+      libreOffice: !!systemTools.get('libreoffice'),
+      pdfRenderer: pdfRenderers.select()
+    },
+    pdfRenderers: pdfRenderers.status(),
+    systemTools: systemTools.status(),
+    converterPool: converterPool.stats(),
+    queue: conversionQueue.stats(),
+    notificationOutbox: notificationOutbox.stats(),
+    notifiers: notifier.listTargets(),
+    formats: formatRegistry.listFormats(),
+    acceptedExtensions: formatRegistry.getAcceptedExtensions(),
+    maxUploadFiles: MAX_UPLOAD_FILES,
+    maxUploadSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    chunkedUploads: chunkedUploads.stats(),
+    conversionCache: { enabled: CONVERSION_CACHE_ENABLED, ...conversionCache.stats() },
+    conversionHistory: conversionHistory.stats(),
+    uploadLimits: uploadLimits.stats(),
+    renderOptions: {
+      defaults: getDefaultRenderOptions(),
+      imageFormats: Object.keys(IMAGE_FORMATS)
+    },
+    thumbnails: { width: thumbnailer.width, quality: thumbnailer.quality },
+    storage: artifactStorage.name,
+    retention: (({ lastReport, ...config }) => config)(retentionJanitor.status()),
+    features: {
+      pdfUpload: true,
+      docConversion: !!systemTools.get('libreoffice'),
+      imageConversion: !!pdfRenderers.select(),
+      userInfoCollection: true,  // 新功能
+      enhancedLineMessaging: true,  // 增強功能
+      completeDownloadLinks: true,   // 完整下載連結
+      utf8ChineseSupport: true,      // UTF-8 中文支援
+      signedDownloadLinks: true,     // 簽章下載連結
+      asyncConversionJobs: true,     // 非同步轉換工作
+      liffIdTokenVerification: isAuthRequired(),
+      lineDirectPush: notifier.listTargets().some(target => target.type === 'line'),
+      pagePreviews: !!pdfRenderers.select(),
+      conversionHistory: true,
+      prometheusMetrics: true,
+      uploadLimits: true,
+      devRoutes: DEV_ROUTES_ENABLED
+    },
+    n8nWebhook: process.env.N8N_WEBHOOK_URL ? '已設定 (增強版-UTF8)' : '未設定',
+    n8nWebhookSigned: !!process.env.N8N_WEBHOOK_SECRET
+  });
+});
+
+// Prometheus 指標 (設定 METRICS_TOKEN 時需要 Bearer Token)
+app.get('/metrics', metrics.handler);
+
+// 測試與除錯 API 在正式環境一律回傳 404
+app.use((req, res, next) => {
+  if (!DEV_ROUTES_ENABLED && /^\/api\/(test|debug)([-/]|$)/.test(req.path)) {
+    return res.status(404).json({ error: 'API 路由不存在' });
+  }
+  next();
+});
+
+// 測試 API
+app.get('/api/test', (req, res) => {
+  console.log('🧪 測試 API');
+  res.json({ 
+    message: '增強版文件轉換伺服器正常運作 (UTF-8 中文支援)',
+    timestamp: new Date().toISOString(),
+    features: [
+      '檔案上傳', 
+      'PDF轉換', 
+      '圖片轉換', 
+      '使用者資訊收集', 
+      '增強版LINE風格訊息',
+      '完整下載連結提供',
+      'UTF-8 中文字串正確編碼'
+    ],
+    version: 'enhanced-v2-utf8'
+  });
+});
+
+/**
+ * 刪除一批上傳檔案 (驗證失敗或處理錯誤時)
+ */
+function removeFiles(files) {
+  for (const file of files) {
+    try {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    } catch (cleanupError) {
+      console.error('清理檔案失敗:', cleanupError);
+    }
+  }
+}
+
+/**
+ * 依格式記錄上傳結果 (accepted、rejected、invalid、limited、failed)
+ */
+function recordUploads(files, outcome) {
+  for (const file of files) {
+    const format = formatRegistry.resolve(file.originalname, file.mimetype);
+    metrics.recordUpload(format ? format.id : null, outcome);
+  }
+}
+
+/**
+ * 頻率限制與每日額度的計算對象：LINE 使用者 ID 與 IP 各自計算頻率，每日額度以使用者 ID 計算 (沒有 ID 時以 IP 計算)
+ */
+function getLimitSubject(req) {
+  return { userId: getRequestUserId(req), ip: req.ip };
+}
+
+/**
+ * 回傳 429，Retry-After 與 retryAfterSeconds 讓前端顯示可再上傳的時間
+ */
+function sendLimitError(res, error) {
+  console.warn('🚦 上傳受到限制:', error.code, error.scope || (error.quota && error.quota.type));
+  metrics.recordLimit(error.code, error.scope || error.quota.type);
+  res.set('Retry-After', String(error.retryAfterSeconds)).status(error.status).json({
+    success: false,
+    code: error.code,
+    error: error.message,
+    retryAfterSeconds: error.retryAfterSeconds,
+    retryAt: new Date(Date.now() + error.retryAfterSeconds * 1000).toISOString(),
+    limit: error.limit,
+    quota: error.quota
+  });
+}
+
+/**
+ * 上傳前檢查頻率限制與今日額度是否已用完 (檔案內容在收到後才檢查)
+ */
+function limitUploads(req, res, next) {
+  try {
+    const subject = getLimitSubject(req);
+    uploadLimits.assertRate(subject);
+    uploadLimits.assertQuota(subject);
+    next();
+  } catch (error) {
+    sendLimitError(res, error);
+  }
+}
+
+/**
+ * 檢查上傳的檔案並排入轉換佇列，一般上傳與分段上傳共用
+ *
+ * uploadedFiles 的欄位與 multer 相同 (path、originalname、filename、mimetype、size)，依合併順序排列；
+ * 任一檔案驗證失敗時整批刪除
+ */
+async function enqueueUploadedFiles(req, res, uploadedFiles, { merge }) {
+  try {
+    // 提取使用者資訊 - 確保正確處理 UTF-8 中文字串
+    // 已驗證的 LINE 身分優先，只有關閉 LIFF 驗證 (本機開發) 時才採用表單欄位
+    const lineUser = req.lineUser;
+    const userInfo = lineUser ? {
+      name: lineUser.name?.trim(),
+      email: lineUser.email || null,
+      phone: req.body.userPhone?.trim() || null,
+      liffUserId: lineUser.sub
+    } : {
+      name: req.body.userName?.trim(),
+      email: req.body.userEmail?.trim() || null,
+      phone: req.body.userPhone?.trim() || null,
+      liffUserId: req.body.userId || null
+    };
+
+    // 驗證使用者姓名
+    if (lineUser && !userInfo.name) {
+      removeFiles(uploadedFiles);
+      recordUploads(uploadedFiles, 'invalid');
+      return res.status(400).json({
+        success: false,
+        code: 'MISSING_PROFILE_SCOPE',
+        error: '無法取得 LINE 使用者名稱，請確認 LIFF 已開啟 profile 權限'
+      });
+    }
+
+    if (!userInfo.name || userInfo.name.length < 2) {
+      removeFiles(uploadedFiles);
+      recordUploads(uploadedFiles, 'invalid');
+      return res.status(400).json({
+        success: false,
+        error: '請提供有效的使用者姓名'
+      });
+    }
+
+    // 頁面圖片的輸出設定，未填寫的欄位使用預設值
+    let renderOptions;
+    try {
+      renderOptions = parseRenderOptions(req.body);
+    } catch (optionError) {
+      removeFiles(uploadedFiles);
+      recordUploads(uploadedFiles, 'invalid');
+      return res.status(optionError.status).json({
+        success: false,
+        code: optionError.code,
+        error: optionError.message
+      });
+    }
+
+    // 姓名、Email、電話依 LOG_REDACT_FIELDS 遮蔽
+    logger.info('👤 使用者資訊 (UTF-8)', {
+      user: {
+        name: userInfo.name,
+        nameLength: userInfo.name.length,
+        email: userInfo.email,
+        phone: userInfo.phone,
+        liffUserId: userInfo.liffUserId
+      }
+    });
+
+    // 以實際內容確認檔案格式，拒絕偽裝或含主動內容的檔案；批次中任一檔案不合格時整批拒絕
+    for (const file of uploadedFiles) {
+      const format = formatRegistry.resolve(file.originalname, file.mimetype);
+      try {
+        await inspectUpload(file.path, format, file.originalname);
+      } catch (inspectError) {
+        if (!Object.values(REJECTION_CODES).includes(inspectError.code)) {
+          throw inspectError;
+        }
+        console.warn('🚫 拒絕上傳檔案:', inspectError.code, file.originalname);
+        removeFiles(uploadedFiles);
+        recordUploads(uploadedFiles, 'rejected');
+        return res.status(inspectError.status).json({
+          success: false,
+          code: inspectError.code,
+          fileName: file.originalname,
+          error: uploadedFiles.length > 1 ? `${file.originalname}: ${inspectError.message}` : inspectError.message
+        });
+      }
+    }
+
+    // 確認這批檔案不會超過今日額度
+    const limitSubject = getLimitSubject(req);
+    const totalBytes = uploadedFiles.reduce((sum, file) => sum + file.size, 0);
+    try {
+      uploadLimits.assertQuota(limitSubject, { files: uploadedFiles.length, bytes: totalBytes });
+    } catch (limitError) {
+      removeFiles(uploadedFiles);
+      recordUploads(uploadedFiles, 'limited');
+      return sendLimitError(res, limitError);
+    }
+
+    console.log('✅ 檔案上傳成功，排入轉換佇列...');
+    uploadedFiles.forEach(file => logger.info('📊 檔案資訊', {
+      file: {
+        originalName: file.originalname,
+        savedName: file.filename,
+        sizeMb: Number((file.size / 1024 / 1024).toFixed(2))
+      },
+      userName: userInfo.name
+    }));
+
+    const fileInfo = {
+      fileName: uploadedFiles.length > 1
+        ? `${uploadedFiles[0].originalname} 等 ${uploadedFiles.length} 個檔案`
+        : uploadedFiles[0].originalname,
+      savedName: uploadedFiles[0].filename,
+      fileSize: totalBytes,
+      fileCount: uploadedFiles.length,
+      files: uploadedFiles.map(file => ({ fileName: file.originalname, fileSize: file.size })),
+      merged: merge,
+      uploadTime: new Date().toISOString()
+    };
+
+    // 只保存可序列化的欄位，讓工作能寫入磁碟並在重啟後恢復
+    const job = conversionQueue.enqueue({
+      files: uploadedFiles.map(file => ({
+        path: file.path,
+        originalname: file.originalname,
+        filename: file.filename,
+        mimetype: file.mimetype,
+        size: file.size
+      })),
+      merge,
+      renderOptions,
+      userInfo,
+      fileInfo,
+      requestId: req.id,
+      // 轉換完成後依此計入頁面圖片數
+      limitSubject
+    });
+
+    uploadLimits.consume(limitSubject, { files: uploadedFiles.length, bytes: totalBytes });
+    recordUploads(uploadedFiles, 'accepted');
+
+    res.status(202).json({
+      success: true,
+      message: uploadedFiles.length > 1
+        ? `${userInfo.name} 您好！${uploadedFiles.length} 個檔案已上傳，正在排隊轉換`
+        : `${userInfo.name} 您好！檔案已上傳，正在排隊轉換`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('❌ 處理錯誤:', error);
+    
+    // 清理可能的部分檔案
+    removeFiles(uploadedFiles);
+    recordUploads(uploadedFiles, 'failed');
+    
+    res.status(500).json({ 
+      success: false, 
+      error: '檔案上傳處理錯誤: ' + error.message 
+    });
+  }
+}
+
+// 增強版檔案上傳與轉換 API
+app.post('/api/upload', requireLiffUser, limitUploads, (req, res) => {
+  console.log('📤 收到增強版上傳請求');
+  
+  // 單檔上傳使用 file 欄位，批次上傳以 files 欄位依合併順序傳送
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: MAX_UPLOAD_FILES }
+  ])(req, res, (err) => {
+    const uploadedFiles = req.files ? [...(req.files.file || []), ...(req.files.files || [])] : [];
+
+    if (err) {
+      console.error('❌ 上傳錯誤:', err.message);
+      removeFiles(uploadedFiles);
+      const messages = {
+        LIMIT_FILE_COUNT: `一次最多上傳 ${MAX_UPLOAD_FILES} 個檔案`,
+        LIMIT_FILE_SIZE: `檔案太大，上限為 ${MAX_UPLOAD_SIZE_MB}MB，較大的檔案請使用分段上傳`
+      };
+      return res.status(err.status || 400).json({ 
+        success: false, 
+        code: err.code,
+        error: messages[err.code] || err.message 
+      });
+    }
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '沒有收到檔案' 
+      });
+    }
+
+    enqueueUploadedFiles(req, res, uploadedFiles, {
+      merge: req.body.merge === 'true' && uploadedFiles.length > 1
+    });
+  });
+});
+
+// ===== 分段上傳 API (tus 風格，手機網路中斷後可從伺服器記錄的 offset 續傳) =====
+
+/**
+ * 分段上傳工作的擁有者，關閉 LIFF 驗證時不限制
+ */
+function getUploadOwner(req) {
+  return req.lineUser ? req.lineUser.sub : null;
+}
+
+/**
+ * 回傳分段上傳的錯誤，非預期的錯誤以 500 回應
+ */
+function sendUploadError(res, error) {
+  if (Object.values(LIMIT_ERROR_CODES).includes(error.code)) {
+    return sendLimitError(res, error);
+  }
+
+  const knownCodes = [...Object.values(UPLOAD_ERROR_CODES), ...Object.values(REJECTION_CODES)];
+  if (!knownCodes.includes(error.code)) {
+    console.error('❌ 分段上傳錯誤:', error);
+    return res.status(500).json({ success: false, error: '分段上傳處理錯誤: ' + error.message });
+  }
+
+  if (error.offset !== undefined) {
+    res.set('Upload-Offset', String(error.offset));
+  }
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    error: error.message,
+    offset: error.offset
+  });
+}
+
+/**
+ * 回傳上傳進度，同時以 tus 相容的標頭提供 offset
+ */
+function sendUploadProgress(res, session, status = 200) {
+  res.status(status).set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.fileSize),
+    'Cache-Control': 'no-store'
+  }).json({
+    success: true,
+    ...chunkedUploads.describe(session),
+    uploadUrl: `/api/uploads/${session.id}`
+  });
+}
+
+// 區塊內容以原始位元組傳送 (Content-Type: application/offset+octet-stream)
+const parseChunk = express.raw({ type: () => true, limit: chunkedUploads.stats().chunkSize });
+
+// 建立分段上傳
+app.post('/api/uploads', requireLiffUser, (req, res) => {
+  const { fileName, fileSize, mimeType } = req.body || {};
+
+  try {
+    const format = fileName ? formatRegistry.resolve(String(fileName), mimeType) : null;
+    if (fileName && !format) {
+      throw rejection(415, REJECTION_CODES.UNSUPPORTED_FORMAT, '不支援的檔案格式');
+    }
+    if (format && !formatRegistry.isAvailable(format)) {
+      throw rejection(415, REJECTION_CODES.UNSUPPORTED_FORMAT, `系統目前不支援 ${format.label} 轉換，請直接上傳 PDF 檔案`);
+    }
+
+    // 在傳送檔案內容前先確認頻率與額度，避免上傳完成後才被拒絕 (完成上傳時才計入)
+    const subject = getLimitSubject(req);
+    uploadLimits.assertRate(subject, { record: false });
+    uploadLimits.assertQuota(subject, { files: 1, bytes: Number(fileSize) || 0 });
+
+    const owner = getUploadOwner(req);
+    const session = chunkedUploads.create({ fileName, fileSize, mimeType, owner, client: owner || `ip:${req.ip}` });
+    res.set('Location', `/api/uploads/${session.id}`);
+    sendUploadProgress(res, session, 201);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// 查詢分段上傳進度 (HEAD 只回傳標頭)
+app.get('/api/uploads/:id', requireLiffUser, (req, res) => {
+  try {
+    sendUploadProgress(res, chunkedUploads.get(req.params.id, getUploadOwner(req)));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// 傳送區塊，Upload-Offset 標頭必須等於伺服器目前的進度，Upload-Checksum 為區塊的校驗值
+app.put('/api/uploads/:id', requireLiffUser, (req, res) => {
+  parseChunk(req, res, async (err) => {
+    try {
+      if (err) {
+        throw err.type === 'entity.too.large'
+          ? uploadError(413, UPLOAD_ERROR_CODES.CHUNK_TOO_LARGE, `單一區塊不可超過 ${chunkedUploads.stats().chunkSize} bytes`)
+          : err;
+      }
+
+      // 表單或 JSON 格式的內容已被其他 parser 解析，無法取得原始位元組
+      if (!Buffer.isBuffer(req.body)) {
+        throw uploadError(415, UPLOAD_ERROR_CODES.INVALID_UPLOAD, '區塊內容請以 application/offset+octet-stream 傳送');
+      }
+
+      const session = await chunkedUploads.appendChunk(req.params.id, getUploadOwner(req), {
+        offset: parseInt(req.get('Upload-Offset'), 10),
+        data: req.body,
+        checksum: req.get('Upload-Checksum')
+      });
+      sendUploadProgress(res, session);
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  });
+});
+
+// 取消分段上傳
+app.delete('/api/uploads/:id', requireLiffUser, async (req, res) => {
+  try {
+    await chunkedUploads.remove(req.params.id, getUploadOwner(req));
+    res.json({ success: true });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// 完成分段上傳並排入轉換佇列，uploadIds 的順序即為合併順序
+app.post('/api/uploads/complete', requireLiffUser, limitUploads, async (req, res) => {
+  const owner = getUploadOwner(req);
+  const uploadIds = Array.isArray(req.body.uploadIds) ? req.body.uploadIds : [req.body.uploadId].filter(Boolean);
+
+  if (uploadIds.length === 0 || new Set(uploadIds).size !== uploadIds.length) {
+    return res.status(400).json({ success: false, code: UPLOAD_ERROR_CODES.INVALID_UPLOAD, error: '請提供要完成的上傳工作' });
+  }
+  if (uploadIds.length > MAX_UPLOAD_FILES) {
+    return res.status(400).json({ success: false, code: UPLOAD_ERROR_CODES.INVALID_UPLOAD, error: `一次最多上傳 ${MAX_UPLOAD_FILES} 個檔案` });
+  }
+
+  const uploadedFiles = [];
+  try {
+    // 先確認全部上傳完成，避免只移走部分檔案
+    uploadIds.forEach(id => chunkedUploads.assertComplete(id, owner));
+
+    for (const id of uploadIds) {
+      const filename = createUploadName(chunkedUploads.get(id, owner).fileName);
+      const filePath = path.join(uploadDir, filename);
+      const session = await chunkedUploads.finish(id, owner, filePath);
+      uploadedFiles.push({
+        path: filePath,
+        originalname: session.fileName,
+        filename,
+        mimetype: session.mimeType,
+        size: session.fileSize
+      });
+    }
+  } catch (error) {
+    removeFiles(uploadedFiles);
+    return sendUploadError(res, error);
+  }
+
+  console.log('📦 分段上傳完成:', uploadedFiles.map(file => file.originalname).join(', '));
+  await enqueueUploadedFiles(req, res, uploadedFiles, {
+    merge: (req.body.merge === true || req.body.merge === 'true') && uploadedFiles.length > 1
+  });
+});
+
+// 查詢轉換工作狀態
+app.get('/api/jobs/:id', (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '找不到此轉換工作'
+    });
+  }
+
+  res.json(formatJobStatus(job));
+});
+
+// 正在接收進度串流的連線 (jobId → 該工作的 SSE 連線)
+// 佇列上只註冊一組監聽器再依工作分派，連線數量不受 EventEmitter 監聽器上限影響
+const jobStreams = new Map();
+
+conversionQueue.events.on('update', (job) => {
+  for (const stream of jobStreams.get(job.id) || []) {
+    stream.onUpdate(job);
+  }
+});
+
+conversionQueue.events.on('progress', (job, event) => {
+  for (const stream of jobStreams.get(job.id) || []) {
+    stream.onProgress(event);
+  }
+});
+
+// 轉換工作進度串流 (Server-Sent Events)
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '找不到此轉換工作'
+    });
+  }
+
+  console.log('📡 開始推送工作進度:', job.id);
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // 避免反向代理緩衝事件
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let lastStatus = null;
+
+  const finish = () => {
+    cleanup();
+    res.end();
+  };
+
+  const stream = {
+    onUpdate: (updatedJob) => {
+      if (updatedJob.status !== lastStatus) {
+        lastStatus = updatedJob.status;
+        send('status', { status: updatedJob.status, updatedAt: updatedJob.updatedAt });
+      }
+
+      if (TERMINAL_STATUSES.includes(updatedJob.status)) {
+        send(updatedJob.status, formatJobStatus(updatedJob));
+        finish();
+      }
+    },
+    onProgress: (event) => {
+      if (event.type === 'page') {
+        send('page', event);
+      }
+    }
+  };
+
+  // 保持連線，避免閒置時被代理伺服器切斷
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    const streams = jobStreams.get(job.id);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) {
+        jobStreams.delete(job.id);
+      }
+    }
+  };
+
+  req.on('close', cleanup);
+  if (!jobStreams.has(job.id)) {
+    jobStreams.set(job.id, new Set());
+  }
+  jobStreams.get(job.id).add(stream);
+
+  // 先補送目前狀態與已完成的頁面
+  if (job.progress && job.progress.pages) {
+    send('status', { status: job.status, updatedAt: job.updatedAt });
+    lastStatus = job.status;
+    job.progress.pages.forEach(pageInfo => send('page', { type: 'page', ...pageInfo }));
+  }
+  stream.onUpdate(job);
+});
+
+// 今日上傳額度與用量，供前端顯示剩餘額度
+app.get('/api/me/quota', requireLiffUser, (req, res) => {
+  res.set('Cache-Control', 'no-store').json({
+    success: true,
+    ...uploadLimits.describe(getLimitSubject(req))
+  });
+});
+
+// ===== 我的檔案：使用者的轉換紀錄 =====
+
+/**
+ * 請求的 LINE 使用者 ID：已驗證的 ID Token；
+ * 關閉 LIFF 驗證 (本機開發) 時才採用 x-line-userid 標頭或 userId 欄位
+ */
+function getRequestUserId(req) {
+  if (req.lineUser) {
+    return req.lineUser.sub;
+  }
+  if (isAuthRequired()) {
+    return null;
+  }
+  return req.get('x-line-userid') || (req.body && req.body.userId) || req.query.userId || null;
+}
+
+function requireHistoryOwner(req, res, next) {
+  req.historyOwner = getRequestUserId(req);
+  if (!req.historyOwner) {
+    return res.status(400).json({
+      success: false,
+      code: 'MISSING_USER_ID',
+      error: '無法識別使用者，請從 LINE 開啟'
+    });
+  }
+  next();
+}
+
+/**
+ * 轉換紀錄的對外回應格式；完成的紀錄重新簽出下載連結，輸出檔案已被清除時標記為過期
+ */
+async function formatHistoryEntry(entry) {
+  let available = entry.status === JOB_STATUS.DONE && entry.documents.length > 0;
+  if (available) {
+    try {
+      for (const document of entry.documents) {
+        if (!await artifactStorage.exists(`pdfs/${document.pdfFileName}`)) {
+          available = false;
+          break;
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ 無法確認轉換紀錄的輸出檔案:', entry.id, error.message);
+    }
+  }
 
-    return result;
+  const baseUrl = process.env.FRONTEND_URL || `http://localhost:${PORT}`;
+  const results = available ? entry.documents.map(document => describeDocument(baseUrl, document)) : [];
+
+  return {
+    id: entry.id,
+    fileName: entry.fileName,
+    files: entry.files,
+    fileSize: entry.fileSize,
+    merged: entry.merged,
+    status: entry.status,
+    error: entry.error,
+    pageCount: entry.pageCount,
+    outputSize: entry.outputSize,
+    // 完成但輸出檔案已超過保存期限被清除
+    expired: entry.status === JOB_STATUS.DONE && !available,
+    createdAt: entry.createdAt,
+    finishedAt: entry.finishedAt,
+    // 與工作狀態 API 的 conversionResult 相同格式，前端可直接重新開啟預覽
+    conversionResult: available ? {
+      pdfFile: results[0].pdfFile,
+      imageFiles: results[0].imageFiles,
+      documents: results,
+      merged: entry.merged
+    } : null
+  };
+}
 
+// 列出我的轉換紀錄 (?page=1&limit=20，由新到舊)
+app.get('/api/me/conversions', requireLiffUser, requireHistoryOwner, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  try {
+    const { items, pagination } = conversionHistory.list(req.historyOwner, { page, limit });
+    res.json({
+      success: true,
+      conversions: await Promise.all(items.map(formatHistoryEntry)),
+      pagination
+    });
   } catch (error) {
-    console.error('❌ 檔案轉換流程失敗:', error);
-    throw error;
+    console.error('❌ 讀取轉換紀錄失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-}
+});
 
-// ============= 增強版 N8N 通知功能 =============
+// 查看單筆轉換紀錄
+app.get('/api/me/conversions/:id', requireLiffUser, requireHistoryOwner, async (req, res) => {
+  const entry = conversionHistory.get(req.historyOwner, req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: '找不到此轉換紀錄' });
+  }
 
-/**
- * 生成 reply token
- */
-function generateReplyToken() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let token = '';
-  for (let i = 0; i < 64; i++) {
-    token += chars.charAt(Math.floor(Math.random() * chars.length));
+  try {
+    res.json({ success: true, conversion: await formatHistoryEntry(entry) });
+  } catch (error) {
+    console.error('❌ 讀取轉換紀錄失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  return token;
-}
+});
 
 /**
- * 構造包含下載連結的 LINE 風格訊息
+ * 輸出檔案是否仍被其他轉換工作或紀錄使用 (轉換快取命中時會共用同一份輸出)
  */
-function createEnhancedLineMessage(userInfo, originalFileName, conversionResult) {
-  let messageText = `📄 ${userInfo.name} 您好！檔案轉換完成！\n\n`;
-  messageText += `原檔案：${originalFileName}\n`;
-  messageText += `轉換時間：${new Date().toLocaleString('zh-TW')}\n\n`;
-  
-  // PDF 下載
-  messageText += `🔗 下載連結：\n`;
-  messageText += `📄 PDF 檔案：\n${conversionResult.pdfFile.downloadUrl}\n\n`;
-  
-  // 圖片下載
-  if (conversionResult.imageFiles.count > 0) {
-    messageText += `🖼️ 圖片檔案 (${conversionResult.imageFiles.count} 張)：\n`;
-    messageText += `📦 批量下載(ZIP)：\n${conversionResult.imageFiles.zipDownloadUrl}\n\n`;
-    
-    if (conversionResult.imageFiles.files && conversionResult.imageFiles.files.length > 0) {
-      messageText += `📋 個別頁面：\n`;
-      conversionResult.imageFiles.files.forEach((img) => {
-        messageText += `第 ${img.page} 頁：${img.downloadUrl}\n`;
-      });
+function isArtifactShared(pdfFileName, jobId) {
+  return conversionHistory.isReferenced(pdfFileName) || conversionQueue.list().some(job =>
+    job.id !== jobId && !job.artifactsDeletedAt &&
+    (job.artifacts || []).some(document => document.pdfFileName === pdfFileName)
+  );
+}
+
+// 從我的檔案移除紀錄，並刪除沒有被其他工作共用的輸出檔案 (已發出的下載連結隨之失效)
+app.delete('/api/me/conversions/:id', requireLiffUser, requireHistoryOwner, async (req, res) => {
+  const entry = conversionHistory.remove(req.historyOwner, req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: '找不到此轉換紀錄' });
+  }
+
+  try {
+    const removed = [];
+    for (const document of entry.documents) {
+      if (isArtifactShared(document.pdfFileName, entry.id)) {
+        continue;
+      }
+      await artifactStorage.remove(`pdfs/${document.pdfFileName}`);
+      await artifactStorage.remove(`images/${document.imageFolderName}`);
+      removed.push(document.pdfFileName);
     }
-  } else {
-    messageText += `⚠️ 圖片轉換未成功，僅提供 PDF 下載\n`;
+    if (removed.length > 0 && removed.length === entry.documents.length && conversionQueue.get(entry.id)) {
+      conversionQueue.update(entry.id, { artifactsDeletedAt: new Date().toISOString() });
+    }
+    console.log('🗑️ 使用者刪除轉換紀錄:', entry.id, `(刪除 ${removed.length} 份輸出檔案)`);
+    res.json({ success: true, id: entry.id });
+  } catch (error) {
+    // 紀錄已刪除，留下的輸出檔案由清理程式依保存期限處理
+    console.error('❌ 刪除轉換紀錄的輸出檔案失敗:', error);
+    res.status(500).json({ success: false, error: '紀錄已移除，但輸出檔案刪除失敗' });
   }
-  
-  return messageText;
-}
+});
+
+// ===== 管理 API：轉換工作與系統狀態 =====
 
 /**
- * 發送增強版 LINE 風格訊息到 N8N (修正中文編碼問題)
+ * 管理頁面的轉換工作摘要 (時間單位為毫秒)
  */
-async function sendEnhancedMessageToN8N(userInfo, fileInfo, conversionResult) {
+function summarizeJobForAdmin(job) {
+  const elapsed = (from, to) => (from && to ? new Date(to) - new Date(from) : null);
+  const result = job.conversionResult || null;
+  const notification = job.notification || null;
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    user: {
+      name: job.userInfo.name,
+      email: job.userInfo.email,
+      liffUserId: job.userInfo.liffUserId || null
+    },
+    fileName: job.fileInfo.fileName,
+    fileCount: job.fileInfo.fileCount || 1,
+    fileSize: job.fileInfo.fileSize,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    waitMs: elapsed(job.createdAt, job.startedAt),
+    durationMs: elapsed(job.startedAt, job.finishedAt),
+    renderer: result ? result.renderer : null,
+    cached: result ? result.cached === true : false,
+    pageCount: job.artifacts ? job.artifacts.reduce((sum, document) => sum + document.images.length, 0) : null,
+    error: job.error || null,
+    notification: notification ? {
+      sent: notification.sent,
+      retryScheduled: notification.retryScheduled === true,
+      error: notification.error
+    } : null,
+    rerunOf: job.rerunOf || null,
+    artifactsDeletedAt: job.artifactsDeletedAt || null
+  };
+}
+
+// 系統狀態總覽：佇列、轉換程式、磁碟用量、通知與快取
+app.get('/api/admin/overview', requireAdmin, async (req, res) => {
   try {
-    console.log('💬 發送增強版 LINE 風格訊息到 N8N');
-    
-    const webhookUrl = process.env.N8N_WEBHOOK_URL;
-    if (!webhookUrl) {
-      console.warn('⚠️ N8N_WEBHOOK_URL 未設定，跳過發送通知');
-      return false;
-    }
+    const jobs = conversionQueue.list();
+    const byStatus = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    jobs.forEach(job => {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    });
+    const durations = jobs
+      .filter(job => job.status === JOB_STATUS.DONE && job.startedAt && job.finishedAt)
+      .map(job => new Date(job.finishedAt) - new Date(job.startedAt));
+    const memory = process.memoryUsage();
 
-    const replyToken = generateReplyToken();
-    const messageText = createEnhancedLineMessage(userInfo, fileInfo.fileName, conversionResult);
-
-    // 增強版資料結構，確保中文字串正確編碼
-    const enhancedLineData = {
-      // === LINE Webhook 標準格式 ===
-      destination: process.env.LINE_BOT_USER_ID || 'bot_destination',
-      events: [
-        {
-          type: 'message',
-          mode: 'active',
-          timestamp: Date.now(),
-          source: {
-            type: 'user',
-            userId: userInfo.liffUserId || 'anonymous_user'
-          },
-          replyToken: replyToken,
-          message: {
-            type: 'text',
-            id: `msg_${Date.now()}`,
-            text: messageText
-          }
-        }
-      ],
-      
-      // === 完整的使用者資訊 (確保中文字串正確) ===
-      userInfo: {
-        name: userInfo.name,  // 保持原始中文字串
-        email: userInfo.email || null,
-        phone: userInfo.phone || null,
-        liffUserId: userInfo.liffUserId || null,
-        submissionTime: new Date().toISOString()
-      },
-      
-      // === 檔案處理資訊 ===
-      fileProcessing: {
-        originalFile: {
-          name: fileInfo.fileName,  // 保持原始中文檔名
-          size: fileInfo.fileSize,
-          uploadTime: fileInfo.uploadTime
-        },
-        
-        // PDF 結果 (包含完整下載連結)
-        pdfResult: {
-          fileName: conversionResult.pdfFile.name,
-          downloadUrl: conversionResult.pdfFile.downloadUrl,
-          fileSize: conversionResult.pdfFile.size,
-          // 直接提供可點擊的連結
-          directDownloadLink: conversionResult.pdfFile.downloadUrl
-        },
-        
-        // 圖片結果 (包含所有下載選項)
-        imageResult: {
-          count: conversionResult.imageFiles.count,
-          hasImages: conversionResult.imageFiles.count > 0,
-          
-          // 批量下載選項
-          batchDownload: {
-            zipUrl: conversionResult.imageFiles.zipDownloadUrl,
-            folderUrl: conversionResult.imageFiles.downloadUrl
-          },
-          
-          // 個別檔案下載連結
-          individualFiles: conversionResult.imageFiles.files.map(file => ({
-            page: file.page,
-            fileName: file.name,
-            downloadUrl: file.downloadUrl,
-            // 直接可用的連結
-            directLink: file.downloadUrl
-          }))
-        },
-        
-        processTime: conversionResult.processTime
+    res.json({
+      success: true,
+      server: {
+        uptimeSeconds: Math.round(process.uptime()),
+        nodeVersion: process.version,
+        memory: { rss: memory.rss, heapUsed: memory.heapUsed },
+        loadAverage: os.loadavg()
       },
-      
-      // === 所有下載連結的匯總 (方便 N8N 直接取用) ===
-      downloadLinks: {
-        // PDF 下載
-        pdf: {
-          url: conversionResult.pdfFile.downloadUrl,
-          fileName: conversionResult.pdfFile.name,
-          type: 'pdf'
-        },
-        
-        // 圖片下載 (如果有的話)
-        images: conversionResult.imageFiles.count > 0 ? {
-          // ZIP 批量下載
-          zipDownload: {
-            url: conversionResult.imageFiles.zipDownloadUrl,
-            fileName: `${path.parse(fileInfo.fileName).name}-images.zip`,
-            type: 'zip',
-            description: `包含 ${conversionResult.imageFiles.count} 張圖片`
-          },
-          
-          // 個別圖片下載
-          individual: conversionResult.imageFiles.files.map(file => ({
-            url: file.downloadUrl,
-            fileName: file.name,
-            page: file.page,
-            type: 'image'
-          }))
-        } : null
+      conversions: {
+        total: jobs.length,
+        retentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24,
+        byStatus,
+        averageDurationMs: durations.length > 0
+          ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+          : null
       },
-      
-      // === N8N 處理提示 ===
-      n8nProcessingHints: {
-        shouldReplyToUser: true,
-        replyToken: replyToken,
-        messageType: 'file_conversion_completed',
-        userName: userInfo.name,  // 保持原始中文姓名
-        hasMultipleDownloads: conversionResult.imageFiles.count > 0,
-        recommendedAction: 'send_download_links_with_user_greeting',
-        
-        // 建議的回覆格式
-        suggestedReplyFormat: {
-          greeting: `${userInfo.name} 您好！`,  // 保持中文格式
-          pdfLink: `📄 PDF: ${conversionResult.pdfFile.downloadUrl}`,
-          imageLinks: conversionResult.imageFiles.count > 0 ? 
-            `🖼️ 圖片 (${conversionResult.imageFiles.count}張): ${conversionResult.imageFiles.zipDownloadUrl}` : null
-        }
-      }
-    };
+      queue: conversionQueue.stats(),
+      converterPool: converterPool.stats(),
+      pdfRenderers: pdfRenderers.status(),
+      systemTools: systemTools.status(),
+      storage: artifactStorage.name,
+      disk: await retentionJanitor.usage(),
+      retention: retentionJanitor.status(),
+      notificationOutbox: notificationOutbox.stats(),
+      conversionCache: { enabled: CONVERSION_CACHE_ENABLED, ...conversionCache.stats() },
+      conversionHistory: conversionHistory.stats(),
+      uploadLimits: uploadLimits.stats()
+    });
+  } catch (error) {
+    console.error('❌ 讀取系統狀態失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log('📤 增強版資料結構:');
-    console.log('  👤 使用者:', userInfo.name);
-    console.log('  📧 Email:', userInfo.email || '未提供');
-    console.log('  📱 電話:', userInfo.phone || '未提供');
-    console.log('  🎯 Reply Token:', replyToken);
-    console.log('  📄 PDF 連結:', conversionResult.pdfFile.downloadUrl);
-    console.log('  🖼️ 圖片數量:', conversionResult.imageFiles.count);
-    if (conversionResult.imageFiles.count > 0) {
-      console.log('  📦 ZIP 連結:', conversionResult.imageFiles.zipDownloadUrl);
-    }
+// 最近的轉換工作 (可用 ?status=failed 等篩選，?limit= 預設 50)
+app.get('/api/admin/conversions', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    return res.status(400).json({ success: false, error: '不支援的工作狀態' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
 
-    // 確保正確處理 UTF-8 編碼的請求
-    const requestConfig = {
-      headers: {
-        'Content-Type': 'application/json; charset=UTF-8',  // 明確指定 UTF-8
-        'User-Agent': 'LINE-Bot/1.0',
-        'X-Line-Signature': 'mock-line-signature',
-        'X-Source': 'line-bot-file-converter-enhanced',
-        'X-Custom-Type': 'file-conversion-with-user-info',
-        // 移除可能有問題的中文標頭，改為在 body 中傳送
-        'X-Has-Images': conversionResult.imageFiles.count > 0 ? 'true' : 'false',
-        'X-File-Count': conversionResult.imageFiles.count.toString(),
-        'Accept': 'application/json',
-        'Accept-Charset': 'utf-8'
-      },
-      timeout: 15000,
-      // 確保請求資料正確序列化為 UTF-8
-      transformRequest: [function (data) {
-        return JSON.stringify(data);
-      }]
-    };
+  const jobs = conversionQueue.list()
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 
-    console.log('🌐 發送請求到 N8N，確保 UTF-8 編碼...');
-    
-    // 發送到 N8N
-    const response = await axios.post(webhookUrl, enhancedLineData, requestConfig);
+  res.json({
+    success: true,
+    total: jobs.length,
+    conversions: jobs.slice(0, limit).map(summarizeJobForAdmin)
+  });
+});
 
-    console.log('✅ 增強版訊息發送成功！');
-    console.log('📡 N8N 回應狀態:', response.status);
-    
-    if (response.data) {
-      console.log('📥 N8N 回應內容:', JSON.stringify(response.data, null, 2));
+// 查看單一轉換工作 (含上傳檔案、輸出設定、輸出檔案與各通知目標的狀態)
+app.get('/api/admin/conversions/:id', requireAdmin, (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '找不到此轉換工作' });
+  }
+
+  res.json({
+    success: true,
+    conversion: {
+      ...summarizeJobForAdmin(job),
+      files: (job.files || [job.file]).map(file => ({
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        // 原始檔案仍在時才能重新轉換
+        available: fs.existsSync(file.path)
+      })),
+      merge: job.merge === true,
+      renderOptions: job.renderOptions || null,
+      artifacts: job.artifacts || [],
+      notifications: job.notification ? job.notification.targets : []
     }
+  });
+});
 
-    return {
-      success: true,
-      replyToken: replyToken,
-      messageLength: messageText.length,
-      n8nResponse: response.status,
-      userInfo: userInfo,
-      downloadLinks: enhancedLineData.downloadLinks
-    };
+// 以相同的檔案與設定重新轉換 (不使用快取)，需要原始上傳檔案仍存在
+app.post('/api/admin/conversions/:id/rerun', requireAdmin, (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '找不到此轉換工作' });
+  }
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ success: false, error: '工作尚未結束，無法重新轉換' });
+  }
 
-  } catch (error) {
-    console.error('❌ 發送增強版訊息失敗:', error.message);
-    if (error.response) {
-      console.error('📡 N8N 錯誤回應:', error.response.status, error.response.data);
-    }
-    return {
+  const files = job.files || [job.file];
+  const missing = files.filter(file => !fs.existsSync(file.path));
+  if (missing.length > 0) {
+    return res.status(409).json({
       success: false,
-      error: error.message,
-      userInfo: userInfo
-    };
+      code: 'SOURCE_FILES_MISSING',
+      error: '原始上傳檔案已被清除，無法重新轉換',
+      missing: missing.map(file => file.originalname)
+    });
   }
-}
 
-// ===== API 路由 =====
+  const rerun = conversionQueue.enqueue({
+    files,
+    merge: job.merge === true,
+    renderOptions: job.renderOptions,
+    userInfo: job.userInfo,
+    fileInfo: job.fileInfo,
+    rerunOf: job.id,
+    bypassCache: true,
+    requestId: req.id
+  });
+  console.log('🔁 管理員重新轉換:', job.id, '→', rerun.id);
 
-// 健康檢查
-app.get('/api/health', async (req, res) => {
-  console.log('❤️ 健康檢查');
-  
-  const systemTools = await checkSystemTools();
-  
-  res.json({ 
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    port: PORT,
-    version: 'enhanced-with-user-info-utf8-fixed',
-    directories: {
-      upload: uploadDir,
-      pdf: pdfDir,
-      images: imageDir
-    },
-    modules: {
-      libreOffice: !!libreOfficeConvert,
-      pdf2pic: !!pdf2pic
-    },
-    systemTools: systemTools,
-    features: {
-      pdfUpload: true,
-      docConversion: !!libreOfficeConvert,
-      imageConversion: !!pdf2pic,
-      userInfoCollection: true,  // 新功能
-      enhancedLineMessaging: true,  // 增強功能
-      completeDownloadLinks: true,   // 完整下載連結
-      utf8ChineseSupport: true       // UTF-8 中文支援
-    },
-    n8nWebhook: process.env.N8N_WEBHOOK_URL ? '已設定 (增強版-UTF8)' : '未設定'
+  res.status(202).json({
+    success: true,
+    jobId: rerun.id,
+    status: rerun.status,
+    statusUrl: `/api/jobs/${rerun.id}`
   });
 });
 
-// 測試 API
-app.get('/api/test', (req, res) => {
-  console.log('🧪 測試 API');
-  res.json({ 
-    message: '增強版文件轉換伺服器正常運作 (UTF-8 中文支援)',
-    timestamp: new Date().toISOString(),
-    features: [
-      '檔案上傳', 
-      'PDF轉換', 
-      '圖片轉換', 
-      '使用者資訊收集', 
-      '增強版LINE風格訊息',
-      '完整下載連結提供',
-      'UTF-8 中文字串正確編碼'
-    ],
-    version: 'enhanced-v2-utf8'
+// 以新的下載連結重新發送轉換完成通知到所有目標
+app.post('/api/admin/conversions/:id/notify', requireAdmin, async (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '找不到此轉換工作' });
+  }
+  if (job.status !== JOB_STATUS.DONE || !job.artifacts || job.artifactsDeletedAt) {
+    return res.status(409).json({ success: false, error: '只能重送已完成且輸出檔案仍保留的工作' });
+  }
+
+  try {
+    const baseUrl = process.env.FRONTEND_URL || `http://localhost:${PORT}`;
+    const conversionResult = buildConversionResult(baseUrl, job.artifacts, {
+      merge: job.conversionResult.merged,
+      renderOptions: job.conversionResult.renderOptions,
+      cached: job.conversionResult.cached
+    });
+    const deliveries = await notifier.notify({
+      type: EVENT_TYPES.SUCCEEDED,
+      jobId: job.id,
+      requestId: req.id,
+      userInfo: job.userInfo,
+      fileInfo: job.fileInfo,
+      conversionResult
+    });
+    const notification = summarizeDeliveries(deliveries);
+    conversionQueue.update(job.id, { conversionResult, notification });
+    console.log('📨 管理員重送通知:', job.id, notification.sent ? '✅' : '❌');
+
+    res.status(notification.sent ? 200 : 502).json({
+      success: notification.sent,
+      error: notification.error,
+      notifications: notification.targets
+    });
+  } catch (error) {
+    console.error('❌ 重送通知失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 刪除轉換工作的輸出檔案 (PDF 與頁面圖片)；沿用相同輸出的快取結果也會一併失效
+app.delete('/api/admin/conversions/:id/artifacts', requireAdmin, async (req, res) => {
+  const job = conversionQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '找不到此轉換工作' });
+  }
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ success: false, error: '工作尚未結束，無法刪除輸出檔案' });
+  }
+  if (!job.artifacts || job.artifacts.length === 0) {
+    return res.status(409).json({ success: false, error: '此工作沒有輸出檔案紀錄' });
+  }
+
+  try {
+    for (const document of job.artifacts) {
+      await artifactStorage.remove(`pdfs/${document.pdfFileName}`);
+      await artifactStorage.remove(`images/${document.imageFolderName}`);
+    }
+    conversionQueue.update(job.id, { artifactsDeletedAt: new Date().toISOString() });
+    console.log('🗑️ 管理員刪除輸出檔案:', job.id);
+
+    res.json({
+      success: true,
+      removed: job.artifacts.map(document => document.pdfFileName)
+    });
+  } catch (error) {
+    console.error('❌ 刪除輸出檔案失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== 管理 API：通知寄件匣 =====
+
+// 列出通知 (可用 ?status=pending|delivered|dead 篩選)
+app.get('/api/admin/notifications', requireAdmin, (req, res) => {
+  const { status } = req.query;
+
+  if (status && !Object.values(OUTBOX_STATUS).includes(status)) {
+    return res.status(400).json({ success: false, error: '不支援的通知狀態' });
+  }
+
+  const entries = notificationOutbox.list({ status });
+  res.json({
+    success: true,
+    stats: notificationOutbox.stats(),
+    count: entries.length,
+    notifications: entries.map(({ body, ...summary }) => summary)
   });
 });
 
-// 增強版檔案上傳與轉換 API
-app.post('/api/upload', (req, res) => {
-  console.log('📤 收到增強版上傳請求');
-  
-  upload.single('file')(req, res, async (err) => {
-    try {
-      if (err) {
-        console.error('❌ 上傳錯誤:', err.message);
-        return res.status(400).json({ 
-          success: false, 
-          error: err.message 
-        });
-      }
+// 查看單一通知 (含完整 payload 與重試紀錄)
+app.get('/api/admin/notifications/:id', requireAdmin, (req, res) => {
+  const entry = notificationOutbox.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: '找不到此通知' });
+  }
+  res.json({ success: true, notification: entry });
+});
 
-      if (!req.file) {
-        return res.status(400).json({ 
-          success: false, 
-          error: '沒有收到檔案' 
-        });
-      }
+// 手動重送通知
+app.post('/api/admin/notifications/:id/replay', requireAdmin, async (req, res) => {
+  const attempt = notificationOutbox.replay(req.params.id);
+  if (!attempt) {
+    return res.status(404).json({ success: false, error: '找不到此通知' });
+  }
 
-      // 提取使用者資訊 - 確保正確處理 UTF-8 中文字串
-      const userInfo = {
-        name: req.body.userName?.trim(),
-        email: req.body.userEmail?.trim() || null,
-        phone: req.body.userPhone?.trim() || null,
-        liffUserId: req.body.userId || null
-      };
+  const result = await attempt;
+  res.status(result.delivered ? 200 : 502).json({
+    success: result.delivered,
+    error: result.error || null,
+    notification: result.entry
+  });
+});
 
-      // 驗證使用者姓名
-      if (!userInfo.name || userInfo.name.length < 2) {
-        return res.status(400).json({
-          success: false,
-          error: '請提供有效的使用者姓名'
-        });
-      }
+// ===== 管理 API：檔案保存期限 =====
 
-      // 記錄 UTF-8 字串長度和內容
-      console.log('👤 使用者資訊 (UTF-8):');
-      console.log('  姓名:', userInfo.name, '(長度:', userInfo.name.length, ')');
-      console.log('  Email:', userInfo.email);
-      console.log('  電話:', userInfo.phone);
-      console.log('  LIFF ID:', userInfo.liffUserId);
-
-      const originalExt = path.extname(req.file.originalname).toLowerCase();
-      
-      if (originalExt !== '.pdf' && !libreOfficeConvert) {
-        return res.status(400).json({
-          success: false,
-          error: '系統目前不支援 DOC/DOCX 轉換，請直接上傳 PDF 檔案'
-        });
-      }
+// 查看清理設定與最近一次的清理報告
+app.get('/api/admin/retention', requireAdmin, (req, res) => {
+  res.json({ success: true, retention: retentionJanitor.status() });
+});
 
-      console.log('✅ 檔案上傳成功，開始轉換流程...');
-      console.log('📊 檔案資訊:', {
-        原始檔名: req.file.originalname,
-        儲存檔名: req.file.filename,
-        檔案大小: `${(req.file.size / 1024 / 1024).toFixed(2)} MB`,
-        上傳者: userInfo.name
-      });
+// 立即執行清理 (?dryRun=true 只回報會刪除的項目)
+app.post('/api/admin/retention/run', requireAdmin, async (req, res) => {
+  try {
+    const options = req.query.dryRun !== undefined ? { dryRun: req.query.dryRun === 'true' } : {};
+    const report = await retentionJanitor.run(options);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ 檔案清理失敗:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // 執行檔案轉換流程
-      console.log('🔄 開始檔案轉換...');
-      const conversionResult = await processFileConversion(req.file);
+// ===== 管理 API：轉換快取 =====
 
-      const fileInfo = {
-        fileName: req.file.originalname,
-        savedName: req.file.filename,
-        fileSize: req.file.size,
-        uploadTime: new Date().toISOString()
-      };
+// 查看快取統計與記錄
+app.get('/api/admin/conversion-cache', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    enabled: CONVERSION_CACHE_ENABLED,
+    stats: conversionCache.stats(),
+    entries: conversionCache.list()
+  });
+});
 
-      // 發送增強版 LINE 風格訊息到 N8N
-      console.log('💬 發送增強版訊息到 N8N (UTF-8 編碼)...');
-      const n8nResult = await sendEnhancedMessageToN8N(userInfo, fileInfo, conversionResult);
-
-      // 清理原始上傳檔案
-      if (process.env.KEEP_ORIGINAL_FILES !== 'true') {
-        try {
-          fs.unlinkSync(req.file.path);
-          console.log('🗑️ 已清理原始上傳檔案');
-        } catch (cleanupError) {
-          console.warn('⚠️ 清理原始檔案失敗:', cleanupError.message);
-        }
-      }
+// 清空快取 (輸出檔案不會刪除，由清理程式依保存期限處理)
+app.delete('/api/admin/conversion-cache', requireAdmin, (req, res) => {
+  const removed = conversionCache.purge();
+  res.json({ success: true, removed, stats: conversionCache.stats() });
+});
 
-      // 回應給前端
-      const result = {
-        success: true,
-        message: `${userInfo.name} 您好！檔案轉換完成`,
-        fileName: req.file.originalname,
-        userInfo: {
-          name: userInfo.name,
-          email: userInfo.email,
-          phone: userInfo.phone
-        },
-        n8nNotified: n8nResult.success,
-        lineMessage: {
-          sent: n8nResult.success,
-          replyToken: n8nResult.replyToken,
-          error: n8nResult.error
-        },
-        conversions: {
-          pdfGenerated: true,
-          imagesGenerated: conversionResult.imageFiles.count > 0,
-          pdfUrl: conversionResult.pdfFile.downloadUrl,
-          imageZipUrl: conversionResult.imageFiles.zipDownloadUrl
-        },
-        downloadLinks: n8nResult.downloadLinks || null
-      };
+// 移除單一快取記錄
+app.delete('/api/admin/conversion-cache/:key', requireAdmin, (req, res) => {
+  const removed = conversionCache.purge(req.params.key);
+  if (removed === 0) {
+    return res.status(404).json({ success: false, error: '找不到此快取記錄' });
+  }
+  res.json({ success: true, removed, stats: conversionCache.stats() });
+});
 
-      console.log('🏁 增強版轉換流程完成 (UTF-8):', {
-        使用者: userInfo.name,
-        檔案: fileInfo.fileName,
-        'PDF': conversionResult.pdfFile.name,
-        '圖片數': conversionResult.imageFiles.count,
-        'N8N通知': n8nResult.success ? '✅' : '❌',
-        'Reply Token': n8nResult.replyToken
-      });
+// 上傳限制：設定、今日用量與使用者額度設定
+app.get('/api/admin/upload-limits', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    stats: uploadLimits.stats(),
+    usage: uploadLimits.listUsage(),
+    overrides: uploadLimits.listOverrides()
+  });
+});
 
-      res.json(result);
+// 設定使用者的每日額度 (files、mb、pages，未填寫的項目使用預設值) 或設為不受限制 (unlimited)
+app.put('/api/admin/upload-limits/overrides/:userId', requireAdmin, (req, res) => {
+  const { unlimited, files, mb, pages, note } = req.body || {};
+  const limits = { files, mb, pages };
+  const invalid = Object.keys(limits).filter(key => limits[key] !== undefined && limits[key] !== null &&
+    !(Number.isFinite(Number(limits[key])) && Number(limits[key]) >= 0));
+  if (invalid.length > 0) {
+    return res.status(400).json({ success: false, error: `額度必須是 0 以上的數字: ${invalid.join(', ')}` });
+  }
 
-    } catch (error) {
-      console.error('❌ 處理錯誤:', error);
-      
-      // 清理可能的部分檔案
-      try {
-        if (req.file && fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-        }
-      } catch (cleanupError) {
-        console.error('清理檔案失敗:', cleanupError);
-      }
-      
-      res.status(500).json({ 
-        success: false, 
-        error: '檔案轉換處理錯誤: ' + error.message 
-      });
-    }
+  const toNumber = (value) => (value === undefined || value === null ? undefined : Number(value));
+  const override = uploadLimits.setOverride(req.params.userId, {
+    unlimited: unlimited === true,
+    files: toNumber(files),
+    bytes: mb === undefined || mb === null ? undefined : Number(mb) * 1024 * 1024,
+    pages: toNumber(pages),
+    note: note ? String(note) : null
   });
+  console.log('🎟️ 管理員設定使用者額度:', req.params.userId, override.unlimited ? '不受限制' : '');
+  res.json({ success: true, override });
+});
+
+// 移除使用者的額度設定 (恢復預設額度)
+app.delete('/api/admin/upload-limits/overrides/:userId', requireAdmin, (req, res) => {
+  if (!uploadLimits.removeOverride(req.params.userId)) {
+    return res.status(404).json({ success: false, error: '此使用者沒有額度設定' });
+  }
+  res.json({ success: true });
 });
 
 // 測試 N8N Webhook 連接
@@ -850,11 +2220,14 @@ app.get('/api/test-n8n-connection', async (req, res) => {
       encoding: 'UTF-8'
     };
 
-    const response = await axios.post(webhookUrl, testData, {
+    const testBody = JSON.stringify(testData);
+
+    const response = await axios.post(webhookUrl, testBody, {
       headers: {
         'Content-Type': 'application/json; charset=UTF-8',
         'User-Agent': 'N8N-Test/1.0',
         'X-Test': 'true',
+        ...getWebhookSignatureHeaders(testBody),
         'Accept-Charset': 'utf-8'
       },
       timeout: 10000
@@ -920,8 +2293,10 @@ app.post('/api/test-enhanced-message', async (req, res) => {
       liffUserId: userId
     };
     
-    console.log('🧪 測試用中文使用者資訊:');
-    console.log('  姓名:', mockUserInfo.name, '(UTF-8 長度:', Buffer.byteLength(mockUserInfo.name, 'utf8'), '位元組)');
+    logger.info('🧪 測試用中文使用者資訊', {
+      userName: mockUserInfo.name,
+      userNameBytes: Buffer.byteLength(mockUserInfo.name, 'utf8')
+    });
     console.log('  檔名:', fileName, '(UTF-8 長度:', Buffer.byteLength(fileName, 'utf8'), '位元組)');
     
     // 模擬轉換結果
@@ -953,12 +2328,18 @@ app.post('/api/test-enhanced-message', async (req, res) => {
     
     // 發送測試訊息
     console.log('📤 發送包含中文字串的測試訊息...');
-    const n8nResult = await sendEnhancedMessageToN8N(mockUserInfo, mockFileInfo, mockConversionResult);
+    const deliveries = await notifier.notify({
+      type: EVENT_TYPES.SUCCEEDED,
+      requestId: req.id,
+      userInfo: mockUserInfo,
+      fileInfo: mockFileInfo,
+      conversionResult: mockConversionResult
+    });
     
     res.json({
       success: true,
       message: '增強版測試訊息已發送 (含 UTF-8 中文)',
-      result: n8nResult,
+      result: summarizeDeliveries(deliveries),
       testData: {
         userInfo: mockUserInfo,
         fileInfo: mockFileInfo,
@@ -989,34 +2370,44 @@ app.post('/api/test-enhanced-message', async (req, res) => {
 });
 
 // 下載路由
-app.get('/api/download/pdf/:filename', (req, res) => {
+// 所有下載路由都需要有效的簽章連結
+app.get('/api/download/pdf/:filename', urlSigner.requireSignature({ countDownload: true }), (req, res) => {
   const filename = req.params.filename;
-  const filePath = path.join(pdfDir, filename);
-  downloadFile(res, filePath, 'PDF檔案');
+  downloadFile(res, `pdfs/${filename}`, 'PDF檔案');
 });
 
 // 圖片資料夾資訊
-app.get('/api/download/images/:folder', async (req, res) => {
+app.get('/api/download/images/:folder', urlSigner.requireSignature(), async (req, res) => {
   try {
     const folderName = req.params.folder;
-    const folderPath = path.join(imageDir, folderName);
+    const files = await artifactStorage.list(`images/${folderName}`);
     
-    if (!fs.existsSync(folderPath)) {
+    if (files.length === 0) {
       return res.status(404).json({ error: '圖片資料夾不存在' });
     }
+    const thumbnailFiles = await artifactStorage.list(`images/${folderName}/${THUMBNAIL_DIR}`);
 
-    const files = fs.readdirSync(folderPath);
-    const imageFiles = files.filter(f => f.toLowerCase().endsWith('.png') || f.toLowerCase().endsWith('.jpg'));
+    // 依頁碼排序 (指定頁面範圍時頁碼不一定連續)
+    const imageFiles = files
+      .filter(isImageFileName)
+      .map((fileName, index) => ({ fileName, page: getPageNumber(fileName) || index + 1 }))
+      .sort((a, b) => a.page - b.page);
     
+    // 清單中的連結沿用目前連結的到期時間
+    const signOptions = { exp: Number(req.query.exp) };
+
     res.json({
       folder: folderName,
       count: imageFiles.length,
-      files: imageFiles.map((fileName, index) => ({
+      files: imageFiles.map(({ fileName, page }) => ({
         name: fileName,
-        page: index + 1,
-        downloadUrl: `/api/download/images/${folderName}/${fileName}`
+        page,
+        downloadUrl: urlSigner.sign(`/api/download/images/${folderName}/${fileName}`, signOptions),
+        thumbnailUrl: thumbnailFiles.includes(getThumbnailName(fileName))
+          ? urlSigner.sign(`/api/download/images/${folderName}/${THUMBNAIL_DIR}/${getThumbnailName(fileName)}`, signOptions)
+          : null
       })),
-      zipDownloadUrl: `/api/download/images/${folderName}/zip`
+      zipDownloadUrl: urlSigner.sign(`/api/download/images/${folderName}/zip`, signOptions)
     });
 
   } catch (error) {
@@ -1026,12 +2417,12 @@ app.get('/api/download/images/:folder', async (req, res) => {
 });
 
 // ZIP 下載所有圖片
-app.get('/api/download/images/:folder/zip', async (req, res) => {
+app.get('/api/download/images/:folder/zip', urlSigner.requireSignature({ countDownload: true }), async (req, res) => {
   try {
     const folderName = req.params.folder;
-    const folderPath = path.join(imageDir, folderName);
+    const files = await artifactStorage.list(`images/${folderName}`);
     
-    if (!fs.existsSync(folderPath)) {
+    if (files.length === 0) {
       return res.status(404).json({ error: '圖片資料夾不存在' });
     }
 
@@ -1042,12 +2433,11 @@ app.get('/api/download/images/:folder/zip', async (req, res) => {
       return res.status(501).json({ 
         error: 'ZIP 功能不可用',
         message: '請使用個別圖片下載連結',
-        alternativeEndpoint: `/api/download/images/${folderName}`
+        alternativeEndpoint: urlSigner.sign(`/api/download/images/${folderName}`, { exp: Number(req.query.exp) })
       });
     }
 
-    const files = fs.readdirSync(folderPath);
-    const imageFiles = files.filter(f => f.toLowerCase().endsWith('.png') || f.toLowerCase().endsWith('.jpg'));
+    const imageFiles = files.filter(isImageFileName);
     
     if (imageFiles.length === 0) {
       return res.status(404).json({ error: '資料夾中沒有圖片檔案' });
@@ -1070,10 +2460,15 @@ app.get('/api/download/images/:folder/zip', async (req, res) => {
 
     archive.pipe(res);
 
-    imageFiles.forEach((fileName, index) => {
-      const filePath = path.join(folderPath, fileName);
-      archive.file(filePath, { name: `page-${index + 1}-${fileName}` });
-    });
+    // 逐一讀取，避免同時開啟大量遠端連線
+    for (const [index, fileName] of imageFiles.entries()) {
+      const stream = await artifactStorage.createReadStream(`images/${folderName}/${fileName}`);
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        archive.once('entry', resolve);
+        archive.append(stream, { name: `page-${index + 1}-${fileName}` });
+      });
+    }
 
     await archive.finalize();
     console.log('✅ ZIP 下載完成:', folderName);
@@ -1082,48 +2477,50 @@ app.get('/api/download/images/:folder/zip', async (req, res) => {
     console.error('❌ ZIP 下載錯誤:', error);
     if (!res.headersSent) {
       res.status(500).json({ error: 'ZIP 下載失敗' });
+    } else {
+      // 已開始傳送，直接中斷讓用戶端知道檔案不完整
+      res.destroy(error);
     }
   }
 });
 
 // 單個圖片下載
-app.get('/api/download/images/:folder/:filename', (req, res) => {
+// 頁面縮圖 (預覽用，不計入下載次數)
+app.get(`/api/download/images/:folder/${THUMBNAIL_DIR}/:filename`, urlSigner.requireSignature(), (req, res) => {
+  const { folder, filename } = req.params;
+  downloadFile(res, `images/${folder}/${THUMBNAIL_DIR}/${filename}`, '縮圖');
+});
+
+app.get('/api/download/images/:folder/:filename', urlSigner.requireSignature({ countDownload: true }), async (req, res) => {
   const folderName = req.params.folder;
   const filename = req.params.filename;
-  const filePath = path.join(imageDir, folderName, filename);
+  const key = `images/${folderName}/${filename}`;
   
   console.log('🖼️ 圖片下載請求:', folderName, '/', filename);
   
-  if (!fs.existsSync(filePath)) {
-    const folderPath = path.join(imageDir, folderName);
+  let files = [];
+  try {
+    files = await artifactStorage.list(`images/${folderName}`);
+  } catch (readError) {
+    console.error('❌ 讀取資料夾失敗:', readError);
+  }
+
+  if (!files.includes(filename)) {
     console.log('❌ 檔案不存在，檢查資料夾內容:');
+    console.log('  資料夾內容:', files);
     
-    if (fs.existsSync(folderPath)) {
-      try {
-        const files = fs.readdirSync(folderPath);
-        console.log('  資料夾內容:', files);
-        
-        const similarFiles = files.filter(f => 
-          f.includes(path.parse(filename).name.split('-')[0]) || 
-          f.includes(path.parse(filename).name)
-        );
-        
-        if (files.includes(filename)) {
-          return downloadFile(res, filePath, '圖片檔案');
-        }
-        
-        if (similarFiles.length > 0) {
-          return res.status(404).json({ 
-            error: '檔案不存在',
-            suggestion: similarFiles[0],
-            correctUrl: `/api/download/images/${folderName}/${similarFiles[0]}`,
-            availableFiles: files
-          });
-        }
-        
-      } catch (readError) {
-        console.error('❌ 讀取資料夾失敗:', readError);
-      }
+    const similarFiles = files.filter(f => 
+      f.includes(path.parse(filename).name.split('-')[0]) || 
+      f.includes(path.parse(filename).name)
+    );
+    
+    if (similarFiles.length > 0) {
+      return res.status(404).json({ 
+        error: '檔案不存在',
+        suggestion: similarFiles[0],
+        correctUrl: urlSigner.sign(`/api/download/images/${folderName}/${similarFiles[0]}`, { exp: Number(req.query.exp) }),
+        availableFiles: files
+      });
     }
     
     return res.status(404).json({ 
@@ -1133,7 +2530,7 @@ app.get('/api/download/images/:folder/:filename', (req, res) => {
     });
   }
   
-  downloadFile(res, filePath, '圖片檔案');
+  downloadFile(res, key, '圖片檔案');
 });
 
 // 調試用的資料夾檢查 API
@@ -1167,10 +2564,7 @@ app.get('/api/debug/images/:folder', (req, res) => {
       folderPath: folderPath,
       totalFiles: files.length,
       files: fileDetails,
-      imageFiles: fileDetails.filter(f => 
-        f.extension.toLowerCase() === '.png' || 
-        f.extension.toLowerCase() === '.jpg'
-      )
+      imageFiles: fileDetails.filter(f => isImageFileName(f.name))
     });
     
   } catch (error) {
@@ -1179,65 +2573,92 @@ app.get('/api/debug/images/:folder', (req, res) => {
   }
 });
 
-// 統一下載函數
-function downloadFile(res, filePath, fileType) {
+// 統一下載函數 (key 為儲存後端中的路徑)
+async function downloadFile(res, key, fileType) {
   try {
-    console.log(`📥 ${fileType}下載請求:`, path.basename(filePath));
+    console.log(`📥 ${fileType}下載請求:`, path.basename(key));
     
-    if (!fs.existsSync(filePath)) {
-      console.log(`❌ ${fileType}不存在:`, path.basename(filePath));
+    if (!await artifactStorage.exists(key)) {
+      console.log(`❌ ${fileType}不存在:`, path.basename(key));
       return res.status(404).json({ error: `${fileType}不存在` });
     }
     
-    const ext = path.extname(filePath).toLowerCase();
+    const filename = path.basename(key);
+
+    // 遠端儲存可直接轉址到 presigned URL，檔案不經過伺服器
+    const presignedUrl = await artifactStorage.getDownloadUrl(key, { fileName: filename });
+    if (presignedUrl) {
+      console.log(`✅ 轉址下載${fileType}:`, filename);
+      return res.redirect(302, presignedUrl);
+    }
+    
+    const ext = path.extname(key).toLowerCase();
     let contentType = 'application/octet-stream';
     
     switch (ext) {
       case '.pdf':
         contentType = 'application/pdf';
         break;
-      case '.png':
-        contentType = 'image/png';
-        break;
       case '.jpg':
-      case '.jpeg':
         contentType = 'image/jpeg';
         break;
+      default: {
+        const imageFormat = Object.values(IMAGE_FORMATS).find(format => format.extension === ext);
+        if (imageFormat) {
+          contentType = imageFormat.contentType;
+        }
+      }
     }
     
-    const filename = path.basename(filePath);
-    
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
     res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
     
     console.log(`✅ 開始下載${fileType}:`, filename);
-    res.sendFile(filePath);
+    if (artifactStorage.getLocalPath) {
+      return res.sendFile(artifactStorage.getLocalPath(key));
+    }
+
+    const { size } = await artifactStorage.stat(key);
+    res.setHeader('Content-Length', size);
+    const stream = await artifactStorage.createReadStream(key);
+    stream.on('error', (streamError) => {
+      console.error(`❌ ${fileType}傳送錯誤:`, streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
     
   } catch (error) {
     console.error(`❌ ${fileType}下載錯誤:`, error);
-    res.status(500).json({ error: `${fileType}下載失敗` });
+    if (!res.headersSent) {
+      res.status(500).json({ error: `${fileType}下載失敗` });
+    }
   }
 }
 
 // 靜態檔案服務
-app.use('/pdfs', express.static(pdfDir));
-app.use('/images', express.static(imageDir));
-app.use(express.static(__dirname));
+// 轉換結果與執行期資料只能透過簽章下載連結存取
+// 管理頁面 (Basic 驗證，密碼為 ADMIN_TOKEN)
+app.get('/admin', requireAdmin, (req, res) => {
+  security.sendPage(res, path.join(__dirname, 'admin.html'));
+});
 
-// 根路由
-app.get('/', (req, res) => {
+// 根路由 (頁面中的 script 需要本次請求的 CSP nonce，不經由靜態檔案回傳)
+app.get(['/', '/index.html'], (req, res) => {
   console.log('🏠 根路由請求');
-  res.sendFile(path.join(__dirname, 'index.html'));
+  security.sendPage(res, path.join(publicDir, 'index.html'));
 });
 
+// 只公開 public 資料夾，原始碼、設定檔與上傳 / 輸出資料夾都不會被當成靜態檔案
+app.use(express.static(publicDir, { index: false }));
+
 // Catch-all 路由
 app.get('*', (req, res) => {
   console.log('🔍 未匹配路由:', req.url);
   if (req.url.startsWith('/api/')) {
     res.status(404).json({ error: 'API 路由不存在' });
   } else {
-    res.sendFile(path.join(__dirname, 'index.html'));
+    security.sendPage(res, path.join(publicDir, 'index.html'));
   }
 });
 
@@ -1250,6 +2671,17 @@ app.use((err, req, res, next) => {
 // 伺服器初始化
 const initializeServer = async () => {
   await loadConversionModules();
+
+  // 轉換模組就緒後才開始處理佇列 (含重啟前未完成的工作)
+  conversionHistory.start();
+  conversionQueue.start();
+  // 重啟時直接標記為失敗的工作不會發出 'update' 事件，載入後同步一次
+  conversionQueue.list().forEach(job => conversionHistory.record(job));
+  notificationOutbox.start();
+  retentionJanitor.start();
+  chunkedUploads.start();
+  conversionCache.start();
+  uploadLimits.start();
   
   const server = app.listen(PORT, '0.0.0.0', () => {
     console.log('🎉 增強版文件轉換伺服器啟動成功！(UTF-8 中文支援)');
@@ -1259,8 +2691,9 @@ const initializeServer = async () => {
     console.log(`   📄 PDF: ${pdfDir}`);
     console.log(`   🖼️ 圖片: ${imageDir}`);
     console.log(`🔧 轉換功能:`);
-    console.log(`   📄 DOC/DOCX → PDF: ${libreOfficeConvert ? '✅' : '❌'}`);
-    console.log(`   🖼️ PDF → 圖片: ${pdf2pic ? '✅' : '❌'}`);
+    console.log(`   📄 Office 文件 → PDF: ${systemTools.get('libreoffice') ? '✅' : '❌'}`);
+    console.log(`   📝 支援格式: ${formatRegistry.getAcceptedExtensions().join(' ')}`);
+    console.log(`   🖼️ PDF → 圖片: ${pdfRenderers.select() || '❌'}`);
     console.log(`👤 使用者資訊收集: ✅`);
     console.log(`💬 增強版 LINE 風格訊息: ✅`);
     console.log(`🔗 完整下載連結提供: ✅`);
@@ -1271,22 +2704,33 @@ const initializeServer = async () => {
     console.log('✨ 增強版系統流程 (UTF-8 中文支援)：');
     console.log('   👤 收集使用者資訊 (中文姓名*、Email、電話)');
     console.log('   📤 檔案上傳 (支援中文檔名)');
+    console.log('   📥 排入轉換佇列並立即回傳工作 ID');
     console.log('   📄 轉換為 PDF (如果需要)');
     console.log('   🖼️ 轉換為圖片 (如果可用)');
     console.log('   💬 生成個人化 LINE 風格訊息 (中文)');
     console.log('   🔗 包含所有下載連結');
     console.log('   🎯 發送完整資料到 N8N (UTF-8 編碼)');
-    console.log('   ✅ 回傳確認給前端');
+    console.log('   ✅ 前端查詢工作狀態取得結果');
     console.log('================================');
     console.log('🧪 測試端點：');
-    console.log('   POST /api/test-enhanced-message - 測試增強版訊息 (含中文)');
+    if (DEV_ROUTES_ENABLED) {
+      console.log('   POST /api/test-enhanced-message - 測試增強版訊息 (含中文)');
+      console.log('   GET /api/test-n8n-connection - N8N 連接測試');
+    }
     console.log('   GET /api/health - 系統健康檢查');
-    console.log('   GET /api/test-n8n-connection - N8N 連接測試');
+    console.log('   GET /api/jobs/:id - 查詢轉換工作狀態');
+    console.log('   GET /api/jobs/:id/events - 轉換進度串流 (SSE)');
+    console.log('   GET /api/me/conversions - 我的轉換紀錄');
+    console.log('   GET /api/me/quota - 今日上傳額度');
+    console.log('   GET /admin - 管理頁面 (需要 ADMIN_TOKEN)');
+    console.log('   GET /metrics - Prometheus 指標');
     console.log('================================');
   });
 
   process.on('SIGTERM', () => {
     console.log('📴 收到 SIGTERM，正在關閉伺服器...');
+    converterPool.stop();
+    conversionQueue.stop();
     server.close(() => {
       console.log('✅ 伺服器已關閉');
       process.exit(0);
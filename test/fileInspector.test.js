@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { inspectUpload, REJECTION_CODES } = require('../lib/fileInspector');
+
+const WORD = { id: 'word', label: 'Word' };
+
+/**
+ * 產生 ZIP 檔，claimedSize 可偽造中央目錄宣告的解壓縮大小
+ */
+function buildZip(entries) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, content, stored = false, claimedSize } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const data = stored ? content : zlib.deflateRawSync(content);
+    const size = claimedSize === undefined ? content.length : claimedSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    directory.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBuffer, end]);
+}
+
+function docxEntries(extra = []) {
+  return [
+    { name: '[Content_Types].xml', content: Buffer.from('<Types><Default Extension="xml" ContentType="application/xml"/></Types>') },
+    { name: 'word/document.xml', content: Buffer.from('<w:document/>') },
+    ...extra
+  ];
+}
+
+async function inspectBuffer(buffer, fileName, format) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'inspector-test-'));
+  const filePath = path.join(dir, fileName);
+  try {
+    await fs.promises.writeFile(filePath, buffer);
+    return await inspectUpload(filePath, format, fileName);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('接受一般的 docx', async () => {
+  await inspectBuffer(buildZip(docxEntries()), 'ok.docx', WORD);
+});
+
+test('拒絕宣告大小小於實際內容的壓縮炸彈', async () => {
+  // 解壓縮後 50MB，中央目錄只宣告 1000 bytes
+  const bomb = { name: 'word/media/bomb.bin', content: Buffer.alloc(50 * 1024 * 1024), claimedSize: 1000 };
+  const buffer = buildZip(docxEntries([bomb]));
+  assert.ok(buffer.length < 200 * 1024);
+
+  await assert.rejects(inspectBuffer(buffer, 'bomb.docx', WORD), { code: REJECTION_CODES.ARCHIVE_RATIO_EXCEEDED });
+});
+
+test('以實際解壓縮的大小累計總量', async (t) => {
+  process.env.UPLOAD_ZIP_MAX_UNCOMPRESSED_MB = '1';
+  t.after(() => delete process.env.UPLOAD_ZIP_MAX_UNCOMPRESSED_MB);
+
+  // 未壓縮的項目宣告 10 bytes，實際 2MB
+  const stored = { name: 'word/media/big.bin', content: Buffer.alloc(2 * 1024 * 1024, 1), stored: true, claimedSize: 10 };
+  await assert.rejects(inspectBuffer(buildZip(docxEntries([stored])), 'big.docx', WORD), { code: REJECTION_CODES.ARCHIVE_TOO_LARGE });
+});
+
+test('拒絕含巨集的 docx', async () => {
+  const macro = { name: 'word/vbaProject.bin', content: Buffer.from('vba') };
+  await assert.rejects(inspectBuffer(buildZip(docxEntries([macro])), 'macro.docx', WORD), { code: REJECTION_CODES.MACRO_ENABLED });
+});
+
+test('拒絕副檔名與內容不符的檔案', async () => {
+  await assert.rejects(inspectBuffer(Buffer.from('not a zip'), 'fake.docx', WORD), { code: REJECTION_CODES.SIGNATURE_MISMATCH });
+});
+
+test('拒絕含 script 與外部資源的 HTML', async () => {
+  const html = { id: 'html', label: 'HTML' };
+  await assert.rejects(inspectBuffer(Buffer.from('<p>hi</p><script>alert(1)</script>'), 'a.html', html), { code: REJECTION_CODES.HTML_ACTIVE_CONTENT });
+  await assert.rejects(inspectBuffer(Buffer.from('<img src="https://example.com/a.png">'), 'b.html', html), { code: REJECTION_CODES.HTML_ACTIVE_CONTENT });
+  await inspectBuffer(Buffer.from('<h1>標題</h1><p>內容</p>'), 'c.html', html);
+});
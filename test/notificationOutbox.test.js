@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNotificationOutbox, computeBackoff, OUTBOX_STATUS } = require('../lib/notificationOutbox');
+
+function createOutbox(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  const outbox = createNotificationOutbox({ storePath: path.join(dir, 'outbox.json'), ...options });
+  t.after(() => {
+    outbox.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return outbox;
+}
+
+test('退避時間依次數加倍並落在 [delay / 2, delay] 之間', () => {
+  for (const [attempts, delay] of [[1, 1000], [2, 2000], [3, 4000], [10, 60000]]) {
+    for (let i = 0; i < 20; i++) {
+      const backoff = computeBackoff(attempts, 1000, 60000);
+      assert.ok(backoff >= delay / 2 && backoff <= delay, `attempts=${attempts} backoff=${backoff}`);
+    }
+  }
+});
+
+test('失敗時排定重試，達到上限後移到 dead-letter', async (t) => {
+  const fail = async () => {
+    throw new Error('connection refused');
+  };
+
+  const outbox = createOutbox(t, { maxAttempts: 2, deliver: fail });
+  outbox.start();
+  const pending = await outbox.dispatch({ payload: {} });
+  assert.strictEqual(pending.delivered, false);
+  assert.strictEqual(pending.entry.status, OUTBOX_STATUS.PENDING);
+  assert.ok(new Date(pending.entry.nextAttemptAt).getTime() > Date.now());
+
+  const deadOutbox = createOutbox(t, { maxAttempts: 1, deliver: fail });
+  deadOutbox.start();
+  const dead = await deadOutbox.dispatch({ payload: {} });
+  assert.strictEqual(dead.entry.status, OUTBOX_STATUS.DEAD);
+  assert.strictEqual(dead.entry.lastError, 'connection refused');
+  assert.deepStrictEqual(deadOutbox.stats(), { pending: 0, delivered: 0, dead: 1 });
+});
+
+test('手動重送使用新的 retry key', async (t) => {
+  const retryKeys = [];
+  let fail = true;
+  const outbox = createOutbox(t, {
+    maxAttempts: 1,
+    deliver: async (entry) => {
+      retryKeys.push(entry.retryKey);
+      if (fail) {
+        throw new Error('timeout');
+      }
+      return { status: 200 };
+    }
+  });
+  outbox.start();
+
+  const { entry } = await outbox.dispatch({ payload: {} });
+  fail = false;
+  const replayed = await outbox.replay(entry.id);
+
+  assert.strictEqual(replayed.delivered, true);
+  assert.strictEqual(retryKeys.length, 2);
+  assert.notStrictEqual(retryKeys[0], retryKeys[1]);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRetentionJanitor } = require('../lib/retentionJanitor');
+
+const HOUR_MS = 60 * 60 * 1000;
+const rootDir = path.join(os.tmpdir(), 'janitor-test-root');
+
+/**
+ * 記憶體中的儲存後端，只提供清理程式用到的 listEntries 與 remove
+ */
+function createMemoryStorage(entries) {
+  const items = new Map(entries.map(entry => [entry.key, entry]));
+  return {
+    listEntries: async (prefix) => Array.from(items.values())
+      .filter(entry => entry.key.startsWith(`${prefix}/`))
+      .map(entry => ({ name: entry.key.slice(prefix.length + 1), size: entry.size, modifiedAt: entry.modifiedAt })),
+    remove: async (key) => {
+      items.delete(key);
+    },
+    has: (key) => items.has(key)
+  };
+}
+
+/**
+ * manifest 為先前保存的登記清單 (會在 start() 時載入)
+ */
+function createJanitor(t, storage, { manifest = [], ...options } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'janitor-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+  return createRetentionJanitor({
+    directories: { pdfs: { storage, prefix: 'pdfs', ttlHours: 72 } },
+    rootDir,
+    manifestPath: path.join(dir, 'manifest.json'),
+    intervalMinutes: 0,
+    ...options
+  });
+}
+
+test('清除超過保存期限與沒有登記的產出物', async (t) => {
+  const now = Date.now();
+  const storage = createMemoryStorage([
+    { key: 'pdfs/old.pdf', size: 10, modifiedAt: now - 80 * HOUR_MS },
+    { key: 'pdfs/new.pdf', size: 10, modifiedAt: now - HOUR_MS },
+    { key: 'pdfs/orphan.pdf', size: 10, modifiedAt: now - 2 * HOUR_MS }
+  ]);
+  const janitor = createJanitor(t, storage, {
+    manifest: [
+      { jobId: 'a', owner: 'u1', keys: ['pdfs/old.pdf'], createdAt: new Date(now - 80 * HOUR_MS).toISOString() },
+      { jobId: 'b', owner: 'u1', keys: ['pdfs/new.pdf'], createdAt: new Date(now - HOUR_MS).toISOString() }
+    ]
+  });
+  janitor.start();
+
+  const report = await janitor.run();
+
+  assert.deepStrictEqual(report.removed.map(item => [item.name, item.reason]).sort(), [['old.pdf', 'expired'], ['orphan.pdf', 'orphaned']]);
+  assert.ok(storage.has('pdfs/new.pdf'));
+});
+
+test('dry-run 不刪除任何檔案', async (t) => {
+  const storage = createMemoryStorage([{ key: 'pdfs/orphan.pdf', size: 10, modifiedAt: Date.now() - 2 * HOUR_MS }]);
+  const janitor = createJanitor(t, storage);
+
+  const report = await janitor.run({ dryRun: true });
+
+  assert.strictEqual(report.removedCount, 1);
+  assert.ok(storage.has('pdfs/orphan.pdf'));
+});
+
+test('快取沿用的產出物從最後一次登記起算保存期限', async (t) => {
+  const storage = createMemoryStorage([{ key: 'pdfs/cached.pdf', size: 10, modifiedAt: Date.now() - 80 * HOUR_MS }]);
+  const janitor = createJanitor(t, storage);
+  janitor.register({ jobId: 'a', owner: 'u1', paths: [path.join(rootDir, 'pdfs/cached.pdf')] });
+  janitor.register({ jobId: 'b', owner: 'u2', paths: [path.join(rootDir, 'pdfs/cached.pdf')] });
+
+  const report = await janitor.run();
+
+  assert.strictEqual(report.removedCount, 0);
+  assert.ok(storage.has('pdfs/cached.pdf'));
+});
+
+test('配額只刪除擁有者獨佔的產出物', async (t) => {
+  const now = Date.now();
+  const storage = createMemoryStorage([
+    { key: 'pdfs/shared.pdf', size: 100, modifiedAt: now - 3 * HOUR_MS },
+    { key: 'pdfs/own-old.pdf', size: 100, modifiedAt: now - 2 * HOUR_MS },
+    { key: 'pdfs/own-new.pdf', size: 100, modifiedAt: now - HOUR_MS }
+  ]);
+  const janitor = createJanitor(t, storage, { quotaBytes: 150 });
+  janitor.register({ jobId: 'a', owner: 'u1', paths: ['shared.pdf', 'own-old.pdf', 'own-new.pdf'].map(name => path.join(rootDir, 'pdfs', name)) });
+  janitor.register({ jobId: 'b', owner: 'u2', paths: [path.join(rootDir, 'pdfs/shared.pdf')] });
+
+  const report = await janitor.run();
+
+  assert.deepStrictEqual(report.removed.map(item => [item.name, item.reason]), [['own-old.pdf', 'quota']]);
+  assert.ok(storage.has('pdfs/shared.pdf'));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUrlSigner } = require('../lib/signedUrl');
+
+const secret = 'test-secret';
+
+/**
+ * 解析 sign() 產生的相對路徑，回傳驗證時使用的 (已解碼) path 與 query
+ */
+function parseSigned(signed) {
+  const url = new URL(signed, 'http://localhost');
+  return { pathname: decodeURIComponent(url.pathname), query: Object.fromEntries(url.searchParams) };
+}
+
+test('正確的簽章連結 (含中文檔名)', () => {
+  const signer = createUrlSigner({ secret });
+  const { pathname, query } = parseSigned(signer.sign('/api/download/pdfs/報告 1.pdf'));
+
+  assert.strictEqual(pathname, '/api/download/pdfs/報告 1.pdf');
+  assert.strictEqual(signer.verify(pathname, query).valid, true);
+});
+
+test('拒絕修改過的路徑、到期時間或其他密鑰簽的連結', () => {
+  const signer = createUrlSigner({ secret });
+  const { pathname, query } = parseSigned(signer.sign('/api/download/pdfs/a.pdf'));
+
+  assert.strictEqual(signer.verify('/api/download/pdfs/b.pdf', query).status, 403);
+  assert.strictEqual(signer.verify(pathname, { ...query, exp: String(Number(query.exp) + 3600) }).status, 403);
+  assert.strictEqual(signer.verify(pathname, { exp: query.exp }).status, 403);
+  assert.strictEqual(createUrlSigner({ secret: 'other' }).verify(pathname, query).status, 403);
+});
+
+test('過期的連結回應 410，expiryHours 為 0 時永久有效', () => {
+  const signer = createUrlSigner({ secret });
+  const expired = parseSigned(signer.sign('/a.pdf', { exp: Math.floor(Date.now() / 1000) - 1 }));
+  assert.strictEqual(signer.verify(expired.pathname, expired.query).status, 410);
+
+  const permanent = parseSigned(signer.sign('/a.pdf', { expiryHours: 0 }));
+  assert.strictEqual(permanent.query.exp, '0');
+  assert.strictEqual(signer.verify(permanent.pathname, permanent.query).valid, true);
+});
+
+test('超過下載次數上限後拒絕下載', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signed-url-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const signer = createUrlSigner({ secret, maxDownloads: 2, countStorePath: path.join(dir, 'counts.json') });
+  const { pathname, query } = parseSigned(signer.sign('/a.pdf'));
+  const middleware = signer.requireSignature({ countDownload: true });
+
+  const request = () => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json() {
+        return this;
+      }
+    };
+    let passed = false;
+    middleware({ path: encodeURI(pathname), query }, res, () => {
+      passed = true;
+    });
+    return passed ? 200 : res.statusCode;
+  };
+
+  assert.deepStrictEqual([request(), request(), request()], [200, 200, 410]);
+});
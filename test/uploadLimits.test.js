@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUploadLimits, LIMIT_ERROR_CODES } = require('../lib/uploadLimits');
+
+function createLimits(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-limits-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const limits = createUploadLimits({ storePath: path.join(dir, 'limits.json'), ...options });
+  limits.start();
+  return limits;
+}
+
+test('同一位使用者超過頻率限制', (t) => {
+  const limits = createLimits(t, { rateLimit: { ip: 10, user: 2, windowSeconds: 60 } });
+  const subject = { userId: 'U1', ip: '1.1.1.1' };
+
+  limits.assertRate(subject);
+  limits.assertRate(subject);
+  assert.throws(() => limits.assertRate(subject), (error) => error.status === 429 &&
+    error.code === LIMIT_ERROR_CODES.RATE_LIMITED && error.scope === 'user' && error.retryAfterSeconds > 0);
+
+  // 其他使用者不受影響
+  limits.assertRate({ userId: 'U2', ip: '1.1.1.1' });
+});
+
+test('已登入的使用者也以 IP 計算頻率', (t) => {
+  const limits = createLimits(t, { rateLimit: { ip: 3, user: 10, windowSeconds: 60 } });
+
+  for (const userId of ['U1', 'U2', 'U3']) {
+    limits.assertRate({ userId, ip: '2.2.2.2' });
+  }
+  assert.throws(() => limits.assertRate({ userId: 'U4', ip: '2.2.2.2' }), { code: LIMIT_ERROR_CODES.RATE_LIMITED, scope: 'ip' });
+  limits.assertRate({ userId: 'U4', ip: '3.3.3.3' });
+});
+
+test('record 為 false 時只檢查不計入', (t) => {
+  const limits = createLimits(t, { rateLimit: { ip: 1, user: 1, windowSeconds: 60 } });
+  const subject = { userId: 'U1', ip: '1.1.1.1' };
+
+  limits.assertRate(subject, { record: false });
+  limits.assertRate(subject);
+  assert.throws(() => limits.assertRate(subject), { code: LIMIT_ERROR_CODES.RATE_LIMITED });
+});
+
+test('每日額度依檔案數、大小與頁面圖片數計算', (t) => {
+  const limits = createLimits(t, { dailyQuota: { files: 3, bytes: 1000, pages: 5 } });
+  const subject = { userId: 'U1', ip: '1.1.1.1' };
+
+  limits.assertQuota(subject, { files: 2, bytes: 600 });
+  limits.consume(subject, { files: 2, bytes: 600 });
+  assert.throws(() => limits.assertQuota(subject, { files: 1, bytes: 500 }), (error) =>
+    error.code === LIMIT_ERROR_CODES.DAILY_QUOTA_EXCEEDED && error.quota.type === 'bytes' && error.quota.remaining === 400);
+
+  limits.consume(subject, { pages: 5 });
+  assert.throws(() => limits.assertQuota(subject, { files: 1, bytes: 1 }), (error) => error.quota.type === 'pages');
+
+  // 沒有 LINE 使用者 ID 時以 IP 計算
+  limits.assertQuota({ userId: null, ip: '1.1.1.1' }, { files: 3, bytes: 1000 });
+});
+
+test('管理員設定的額度與不受限制的使用者', (t) => {
+  const limits = createLimits(t, { rateLimit: { ip: 1, user: 1, windowSeconds: 60 }, dailyQuota: { files: 1, bytes: 0, pages: 0 } });
+
+  limits.setOverride('U1', { files: 5 });
+  limits.assertQuota({ userId: 'U1', ip: '1.1.1.1' }, { files: 5 });
+  assert.throws(() => limits.assertQuota({ userId: 'U1', ip: '1.1.1.1' }, { files: 6 }), { code: LIMIT_ERROR_CODES.DAILY_QUOTA_EXCEEDED });
+
+  limits.setOverride('U2', { unlimited: true });
+  for (let i = 0; i < 3; i++) {
+    limits.assertRate({ userId: 'U2', ip: '1.1.1.1' });
+  }
+  assert.strictEqual(limits.describe({ userId: 'U2', ip: '1.1.1.1' }).unlimited, true);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  createSignatureHeaders,
+  verifySignature
+} = require('../lib/webhookSignature');
+
+const secret = 'test-secret';
+const body = JSON.stringify({ type: 'conversion_succeeded', name: '王小明' });
+
+function signedRequest(timestamp) {
+  const headers = createSignatureHeaders(body, secret, timestamp);
+  return { body, secret, signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER] };
+}
+
+test('正確的簽章', () => {
+  assert.deepStrictEqual(verifySignature(signedRequest()), { valid: true, reason: null });
+});
+
+test('內容被竄改', () => {
+  const request = { ...signedRequest(), body: body.replace('王小明', '李大華') };
+  assert.strictEqual(verifySignature(request).reason, 'signature_mismatch');
+});
+
+test('密鑰錯誤', () => {
+  const request = { ...signedRequest(), secret: 'wrong-secret' };
+  assert.strictEqual(verifySignature(request).reason, 'signature_mismatch');
+});
+
+test('時間戳記超過容許範圍', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 301;
+  assert.strictEqual(verifySignature(signedRequest(timestamp)).reason, 'timestamp_out_of_range');
+  assert.strictEqual(verifySignature({ ...signedRequest(timestamp), toleranceSeconds: 600 }).valid, true);
+});
+
+test('格式錯誤的標頭', () => {
+  const request = signedRequest();
+  const hex = request.signature.slice('v1='.length);
+
+  assert.strictEqual(verifySignature({ ...request, signature: hex }).reason, 'unsupported_signature_version');
+  assert.strictEqual(verifySignature({ ...request, signature: `v2=${hex}` }).reason, 'unsupported_signature_version');
+  assert.strictEqual(verifySignature({ ...request, signature: 'v1=' }).reason, 'unsupported_signature_version');
+  assert.strictEqual(verifySignature({ ...request, signature: 'v1=zz' }).reason, 'signature_mismatch');
+  assert.strictEqual(verifySignature({ ...request, signature: `v1=${hex.slice(0, 10)}` }).reason, 'signature_mismatch');
+  assert.strictEqual(verifySignature({ ...request, timestamp: 'abc' }).reason, 'invalid_timestamp');
+  assert.strictEqual(verifySignature({ ...request, signature: undefined }).reason, 'missing_headers');
+  assert.strictEqual(verifySignature({ ...request, secret: '' }).reason, 'missing_secret');
+});
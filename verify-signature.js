@@ -0,0 +1,79 @@
+// 驗證 Webhook 簽章的小工具
+//
+// 用法:
+//   node verify-signature.js <body 檔案> <X-Webhook-Timestamp> <X-Webhook-Signature>
+//   node verify-signature.js --self-test
+//
+// 共用密鑰從 N8N_WEBHOOK_SECRET 環境變數 (或 .env) 讀取
+
+const fs = require('fs');
+const { createSignatureHeaders, verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('./lib/webhookSignature');
+
+if (fs.existsSync('.env')) {
+  require('dotenv').config();
+}
+
+const selfTest = () => {
+  const secret = 'self-test-secret';
+  const body = JSON.stringify({ type: 'self_test', name: '王小明', timestamp: new Date().toISOString() });
+  const headers = createSignatureHeaders(body, secret);
+
+  const checks = [
+    {
+      name: '正確簽章',
+      expected: true,
+      result: verifySignature({ body, secret, signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER] })
+    },
+    {
+      name: '內容被竄改',
+      expected: false,
+      result: verifySignature({ body: body.replace('王小明', '李大華'), secret, signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER] })
+    },
+    {
+      name: '密鑰錯誤',
+      expected: false,
+      result: verifySignature({ body, secret: 'wrong-secret', signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER] })
+    },
+    {
+      name: '時間戳記過期 (重送)',
+      expected: false,
+      result: verifySignature({ body, secret, signature: headers[SIGNATURE_HEADER], timestamp: headers[TIMESTAMP_HEADER], now: Date.now() + 10 * 60 * 1000 })
+    }
+  ];
+
+  let failed = 0;
+  for (const check of checks) {
+    const passed = check.result.valid === check.expected;
+    if (!passed) failed++;
+    console.log(`${passed ? '✅' : '❌'} ${check.name}`, check.result.reason ? `(${check.result.reason})` : '');
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--self-test') {
+    return selfTest();
+  }
+
+  if (args.length !== 3) {
+    console.log('用法: node verify-signature.js <body 檔案> <X-Webhook-Timestamp> <X-Webhook-Signature>');
+    console.log('      node verify-signature.js --self-test');
+    process.exit(1);
+  }
+
+  const [bodyFile, timestamp, signature] = args;
+  const result = verifySignature({
+    body: fs.readFileSync(bodyFile, 'utf8'),
+    timestamp,
+    signature,
+    secret: process.env.N8N_WEBHOOK_SECRET
+  });
+
+  console.log(result.valid ? '✅ 簽章正確' : `❌ 簽章驗證失敗: ${result.reason}`);
+  process.exit(result.valid ? 0 : 1);
+};
+
+main();